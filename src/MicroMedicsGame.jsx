@@ -1,27 +1,50 @@
 import React, { useEffect, useRef, useState } from "react";
 import Phaser from "phaser";
+import { LEVELS } from "./levels";
+import { collectTarget, createObjectives } from "./objectives";
+import { defeatHook, resolveEnemy, spawnHook, steerEnemy, touchEnemy } from "./enemies";
+import { POWERUPS, describePowerups, spendCharge, stackPowerup, tickPowerups } from "./powerups";
+import { createSoundSystem } from "./audio";
+import { SYSTEMS, factsForSystem, getFact } from "./facts";
+import { ROUND_SIZE, STREAK_FOR_STAR, describeWait, dueFacts, nextDueAt, scheduleAnswer } from "./review";
+import { decodeProgress, emptyProgress, encodeProgressCode, exportProgressFile, loadProgress, saveProgress } from "./saveStore";
+import { AVATAR_COLORS, MAX_PROFILES, activeProfile, createProfile, deleteProfile, loadProfiles, selectProfile, updateProfile } from "./profiles";
+import { ACTIONS, ACTION_LABELS, DEFAULT_BINDINGS, createControls, keyName, loadBindings, saveBindings } from "./controls";
 
 /**
  * MicroMedics — Investor Demo Build (v3)
  * Scenes:
  *  - Boot (procedural textures)
+ *  - Profiles (per-child save slots on shared devices, see src/profiles.js)
  *  - Title (tap to start)
+ *  - Settings (remap keyboard controls, see src/controls.js)
  *  - Cinematic (3-slide intro: story + how to play)
- *  - CirculatoryLevel (Scene 1 / tutorial)
  *  - BodyMap (Homescapes-style meta: repair + unlock + learning KPIs)
- *  - LungsLevel (Scene 2)
+ *  - LevelScene per descriptor in src/levels (CirculatoryLevel, LungsLevel, …)
+ *  - Codex (learned facts grouped by body system, NEW badges)
+ *  - Review (spaced-repetition recall rounds for learned facts)
+ *  - Quiz (post-level questions on the organ's facts, bonus ⭐)
+ *  - Pause (overlay over any level: resume / restart / settings / quit)
+ *  - GameOver (failure cause + Dr. Nova hint + retry)
  */
 
+// true for form fields the user types into, where game hotkeys must stay out of the way
+const isFormField = (el) => el instanceof HTMLElement && (el.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(el.tagName));
+
 export default function MicroMedicsGame() {
   const gameParentRef = useRef(null);
   const gameRef = useRef(null);
+  const progressApiRef = useRef(null); // React → game: export/import the active profile's save
 
   // React HUD KPIs (visible to investors at all times)
-  const [hud, setHud] = useState({ score: 0, health: 100, energy: 0, level: 1 });
+  const [hud, setHud] = useState({ score: 0, health: 100, energy: 0, level: 1, lives: 3 });
   const [stars, setStars] = useState(0);
   const [facts, setFacts] = useState([]);
-  const [systems, setSystems] = useState({ heart: false, lungs: false });
+  const [systems, setSystems] = useState({});
   const [playtime, setPlaytime] = useState(0);
+  const [sound] = useState(createSoundSystem);
+  const [audio, setAudio] = useState(() => sound.getSettings());
+  const [profile, setProfile] = useState(null);
 
   // Phaser → React bridges
   const setHudRef = useRef((v) => setHud((p) => ({ ...p, ...v })));
@@ -35,48 +58,104 @@ export default function MicroMedicsGame() {
   useEffect(() => {
     if (gameRef.current || !gameParentRef.current) return;
 
-    // ----------- persistent progress store -----------
-    const storeKey = "mm_progress";
-    const loadProgress = () => {
-      try {
-        const raw = localStorage.getItem(storeKey);
-        if (!raw) return null;
-        return JSON.parse(raw);
-      } catch { return null; }
-    };
-    const saveProgress = (p) => localStorage.setItem(storeKey, JSON.stringify(p));
-
     // global state visible to scenes
     const G = {
       score: 0, health: 100, energy: 0, level: 1,
-      powerMode: false, powerTimer: 0,
+      lives: 3, maxLives: 3,
+      powerMode: false,
       stars: 0,
-      systems: { heart: false, lungs: false },
+      systems: {},
       facts: [],
+      roster: loadProfiles(), profile: null,
+      loadNotice: null,
       startTimestamp: Date.now(),
-      get playtimeSec() { return Math.floor((Date.now() - this.startTimestamp) / 1000); },
+      pausedAt: 0, pausedMs: 0,
+      get playtimeSec() {
+        const paused = this.pausedMs + (this.pausedAt ? Date.now() - this.pausedAt : 0);
+        return Math.floor((Date.now() - this.startTimestamp - paused) / 1000);
+      },
+      pauseClock() { if (!this.pausedAt) this.pausedAt = Date.now(); },
+      resumeClock() { if (this.pausedAt) { this.pausedMs += Date.now() - this.pausedAt; this.pausedAt = 0; } },
       resetStatsForLevel() {
-        this.health = 100; this.energy = 0; this.powerMode = false; this.powerTimer = 0;
+        this.health = 100; this.energy = 0; this.powerMode = false;
+        this.lives = this.maxLives;
       },
       syncHud() {
-        setHudRef.current({ score: this.score, health: this.health, energy: this.energy, level: this.level });
+        setHudRef.current({ score: this.score, health: this.health, energy: this.energy, level: this.level, lives: this.lives });
         setPlaytimeRef.current(this.playtimeSec);
       },
-      persist() { saveProgress({ stars: this.stars, systems: this.systems, facts: this.facts }); },
+      get tint() { return this.profile?.color ?? 0xffffff; },
+      quiz: {}, codexSeen: [], review: {}, unlocked: [],
+      snapshot() {
+        return {
+          stars: this.stars, systems: this.systems, facts: this.facts, quiz: this.quiz,
+          codexSeen: this.codexSeen, review: this.review, unlocked: this.unlocked
+        };
+      },
+      applyProgress(p) {
+        this.stars = p.stars;
+        this.systems = { ...p.systems };
+        this.facts = [...p.facts];
+        this.quiz = { ...p.quiz };
+        this.codexSeen = [...p.codexSeen];
+        this.review = { ...p.review };
+        this.unlocked = [...p.unlocked];
+      },
+      get reviewable() { return this.facts.filter((id) => getFact(id)?.recall); },
+      get newFacts() { return this.facts.filter((f) => !this.codexSeen.includes(f)); },
+      /** Records a quiz answer; true when this is the first time the question was answered correctly. */
+      recordAnswer(id, correct) {
+        const q = this.quiz[id] ?? { asked: 0, correct: 0 };
+        const first = correct && q.correct === 0;
+        this.quiz[id] = { asked: q.asked + 1, correct: q.correct + (correct ? 1 : 0) };
+        this.persist();
+        return first;
+      },
+      get quizAccuracy() {
+        const all = Object.values(this.quiz);
+        const asked = all.reduce((n, q) => n + q.asked, 0);
+        return asked ? Math.round(100 * all.reduce((n, q) => n + q.correct, 0) / asked) : null;
+      },
+      persist() {
+        if (!this.profile) return;
+        saveProgress(this.snapshot(), this.profile.id);
+      },
+      switchProfile(id) {
+        this.roster = selectProfile(this.roster, id);
+        this.profile = activeProfile(this.roster);
+        this.score = 0; this.startTimestamp = Date.now(); this.pausedAt = 0; this.pausedMs = 0;
+        this.load();
+        pushProgress();
+      },
       load() {
-        const p = loadProgress(); if (!p) return;
-        this.stars = p.stars ?? 0;
-        this.systems = { heart: !!p.systems?.heart, lungs: !!p.systems?.lungs };
-        this.facts = Array.isArray(p.facts) ? p.facts : [];
+        // see src/saveStore.js: migrates old saves, restores the backup if the main record is damaged
+        const { progress: p, source, error } = loadProgress(this.profile?.id);
+        if (source === "backup") this.loadNotice = "Your save was damaged — restored from the last backup.";
+        else if (error) this.loadNotice = "Your save couldn't be read — starting fresh.";
+        this.applyProgress(p);
       }
     };
-    G.load();
-    // push into React once at boot
-    setStars(G.stars); setSystems(G.systems); setFacts(G.facts);
+    // push the active profile's progress into React
+    const pushProgress = () => {
+      setStars(G.stars); setSystems({ ...G.systems }); setFacts([...G.facts]);
+      setProfile(G.profile && { name: G.profile.name, color: G.profile.color });
+      G.syncHud();
+    };
+    if (G.roster.active) G.switchProfile(G.roster.active);
+
+    progressApiRef.current = {
+      profileName: () => G.profile?.name ?? null,
+      current: () => G.snapshot(),
+      replace(p) {
+        G.applyProgress(p); G.persist(); pushProgress();
+        const map = gameRef.current?.scene.getScene("BodyMap");
+        if (map?.scene.isActive()) map.scene.restart();
+      },
+    };
 
     // React helpers
     const addStars = (n) => { G.stars += n; if (G.stars < 0) G.stars = 0; setStars((s) => Math.max(0, s + n)); G.persist(); };
-    const addFact = (t) => { if (!G.facts.includes(t)) { G.facts.push(t); setFacts((a) => Array.from(new Set([...a, t]))); G.persist(); } };
+    const addFact = (id) => { if (!G.facts.includes(id)) { G.facts.push(id); setFacts((a) => Array.from(new Set([...a, id]))); G.persist(); } };
     const setSystem = (k, v) => { G.systems[k] = v; setSystems((s) => ({ ...s, [k]: v })); G.persist(); };
 
     // ------------- Boot: textures -------------
@@ -94,6 +173,19 @@ export default function MicroMedicsGame() {
         g.fillStyle(0xff69b4,1); g.fillCircle(12,12,10);
         g.fillStyle(0xffffff,1); g.fillCircle(8,8,2); g.fillCircle(16,8,2); g.fillCircle(12,16,2);
         g.generateTexture("brainPower",24,24); g.clear();
+        // other power-ups (src/powerups.js): antibody shield, oxygen dash, white-cell ally, orb magnet
+        g.lineStyle(4,0x7ad7f0,1); g.lineBetween(12,22,12,12); g.lineBetween(12,12,5,4); g.lineBetween(12,12,19,4);
+        g.fillStyle(0xffffff,1); g.fillCircle(5,4,2.5); g.fillCircle(19,4,2.5);
+        g.generateTexture("antibodyShield",24,24); g.clear();
+        g.fillStyle(0x4fc3f7,0.5); g.fillCircle(12,12,10); g.lineStyle(2,0xe1f5fe,1); g.strokeCircle(12,12,10);
+        g.fillStyle(0xe1f5fe,1); g.fillCircle(9,12,3); g.fillCircle(15,12,3);
+        g.generateTexture("oxygenDash",24,24); g.clear();
+        g.fillStyle(0xf5f5f5,1); g.fillCircle(12,12,10);
+        g.fillStyle(0x9575cd,1); g.fillCircle(9,11,3.5); g.fillCircle(15,13,3.5);
+        g.generateTexture("wbcAlly",24,24); g.clear();
+        g.lineStyle(5,0xe53935,1); g.beginPath(); g.arc(12,10,7,0,Math.PI,false); g.strokePath();
+        g.fillStyle(0xeeeeee,1); g.fillRect(2,3,5,6); g.fillRect(17,3,5,6);
+        g.generateTexture("orbMagnet",24,24); g.clear();
         // viruses
         g.fillStyle(0xff3b3b,1); g.fillCircle(12,12,8);
         g.fillStyle(0xffffff,1); g.fillCircle(9,9,1.5); g.fillCircle(15,9,1.5);
@@ -103,13 +195,221 @@ export default function MicroMedicsGame() {
         g.fillStyle(0xffffff,1); g.fillCircle(9,9,1.5); g.fillCircle(15,9,1.5);
         g.generateTexture("virusGreen",24,24); g.clear();
 
+        // gut bacteria: friendly flora vs spiky invaders
+        g.fillStyle(0x4dd0e1,1); g.fillRoundedRect(2,3,24,12,6);
+        g.fillStyle(0xffffff,1); g.fillCircle(10,8,1.5); g.fillCircle(18,8,1.5); g.fillRect(11,11,6,1);
+        g.generateTexture("goodBacteria",28,18); g.clear();
+        g.fillStyle(0x8e24aa,1); g.fillRoundedRect(2,3,24,12,6);
+        [6,16].forEach((x) => { g.fillTriangle(x,3,x+3,0,x+6,3); g.fillTriangle(x,15,x+3,18,x+6,15); });
+        g.fillStyle(0xff5252,1); g.fillCircle(10,9,1.5); g.fillCircle(18,9,1.5);
+        g.generateTexture("badBacteria",28,18); g.clear();
+
+        // pathogen roster (see src/enemies.js)
+        g.fillStyle(0xff9800,1); g.fillRoundedRect(1,2,24,12,6); g.fillStyle(0xe65100,1); g.fillRect(8,2,2,12); g.fillRect(15,2,2,12);
+        g.fillStyle(0xffffff,1); g.fillCircle(20,6,1.5);
+        g.generateTexture("bacteriaRod",26,16); g.clear();
+        g.fillStyle(0xd81b60,1); g.fillCircle(12,12,8);
+        [0,1,2,3,4,5].forEach((i) => { const a = i*Math.PI/3; g.fillCircle(12+Math.cos(a)*10,12+Math.sin(a)*10,2.5); });
+        g.fillStyle(0xffffff,1); g.fillRect(6,11,12,2);
+        g.generateTexture("virusSplit",24,24); g.clear();
+        g.fillStyle(0x8d6e63,1); g.fillCircle(8,8,5);
+        g.fillStyle(0xbcaaa4,1); [[3,3],[13,3],[3,13],[13,13],[8,1],[1,8],[15,8],[8,15]].forEach(([x,y]) => g.fillCircle(x,y,1.8));
+        g.generateTexture("fungusSpore",16,16); g.clear();
+        g.fillStyle(0xf5e6c8,1); [4,10,16,22].forEach((x) => g.fillCircle(x,7,4.5));
+        g.fillStyle(0x5d4037,1); g.fillCircle(24,6,1.3);
+        g.generateTexture("parasiteWorm",28,14); g.clear();
+
+        // boss: giant bacterium + its spores
+        g.lineStyle(3,0x558b2f,1); g.lineBetween(10,32,0,18); g.lineBetween(10,40,0,54); g.lineBetween(86,32,96,18); g.lineBetween(86,40,96,54);
+        g.fillStyle(0x7cb342,1); g.fillRoundedRect(8,10,80,44,22);
+        g.fillStyle(0x9ccc65,1); g.fillCircle(24,20,4); g.fillCircle(70,44,5); g.fillCircle(60,18,3);
+        g.fillStyle(0xffffff,1); g.fillCircle(38,30,8); g.fillCircle(58,30,8);
+        g.fillStyle(0xd50000,1); g.fillCircle(40,32,4); g.fillCircle(56,32,4);
+        g.fillStyle(0x33691e,1); g.fillTriangle(28,18,46,24,30,24); g.fillTriangle(68,18,50,24,66,24); g.fillRect(40,44,16,3);
+        g.generateTexture("bossBacterium",96,64); g.clear();
+        g.fillStyle(0x9e9d24,1); g.fillCircle(5,5,4); g.fillStyle(0xf0f4c3,1); g.fillCircle(4,4,1.5);
+        g.generateTexture("spore",10,10); g.clear();
+
+        // kidney filtrate
+        g.fillStyle(0x4fc3f7,1); g.fillCircle(7,9,5); g.fillTriangle(2,8,12,8,7,1); g.generateTexture("particleWater",14,14); g.clear();
+        g.fillStyle(0xf5f5f5,1); g.fillRect(2,2,10,10); g.fillStyle(0xbdbdbd,1); g.fillRect(7,2,5,5); g.generateTexture("particleSalt",14,14); g.clear();
+        g.fillStyle(0xc8a415,1); g.fillCircle(5,8,4); g.fillCircle(9,6,4); g.generateTexture("particleWaste",14,14); g.clear();
+        g.fillStyle(0xe53935,1); g.fillCircle(7,7,6); g.fillStyle(0xb71c1c,1); g.fillCircle(7,7,2.5); g.generateTexture("particleCell",14,14); g.clear();
+
         // platforms
         g.fillStyle(0x8b4513,1); g.fillRect(0,0,32,16); g.generateTexture("platform",32,16); g.clear();
-        g.fillStyle(0x6d4c41,1); g.fillRect(0,0,32,10); g.generateTexture("softPlatform",32,10); g.destroy();
+        g.fillStyle(0x6d4c41,1); g.fillRect(0,0,32,10); g.generateTexture("softPlatform",32,10); g.clear();
+        g.fillStyle(0x4b3b8f,1); g.fillRect(0,0,32,12); g.fillStyle(0x9d8df1,1); g.fillRect(2,5,28,2);
+        g.generateTexture("neuronPlatform",32,12); g.clear();
+        g.fillStyle(0xc06c84,1); g.fillRect(0,4,32,10);
+        g.fillStyle(0xe8a0b4,1); [4,12,20,28].forEach((x) => g.fillCircle(x,4,4));
+        g.generateTexture("gutPlatform",32,14); g.clear();
+        g.fillStyle(0xf3e9d2,1); g.fillRect(0,0,32,14); g.fillStyle(0xd7c9a8,1); g.fillRect(0,10,32,4);
+        g.generateTexture("bonePlatform",32,14); g.clear();
+        g.fillStyle(0xf3e9d2,1); g.fillRect(0,0,32,14); g.lineStyle(2,0x5d4037,1);
+        g.beginPath(); g.moveTo(6,0); g.lineTo(11,6); g.lineTo(8,9); g.lineTo(13,14); g.moveTo(22,0); g.lineTo(19,5); g.lineTo(25,10); g.strokePath();
+        g.generateTexture("boneCracked",32,14); g.clear();
+        g.fillStyle(0xc9b48a,1); g.fillRect(0,0,32,14); g.fillStyle(0x6d5a3d,1);
+        [[5,4,2],[13,9,3],[22,4,2],[28,10,2],[9,11,1.5],[18,2,1.5]].forEach(([x,y,r]) => g.fillCircle(x,y,r));
+        g.generateTexture("boneCrumbly",32,14); g.clear();
+
+        g.fillStyle(0x8d3b2f,1); g.fillRect(0,2,32,12); g.fillStyle(0xb5543f,1);
+        [5,16,27].forEach((x) => g.fillCircle(x,7,3));
+        g.generateTexture("liverPlatform",32,14); g.clear();
+
+        // liver: toxin blob and enzyme pickup
+        g.fillStyle(0x7b1fa2,1); g.fillCircle(10,10,8); g.fillCircle(15,6,4); g.fillCircle(5,14,4);
+        g.fillStyle(0xc6ff00,1); g.fillCircle(8,8,2); g.fillCircle(13,12,1.5); g.fillCircle(6,13,1);
+        g.generateTexture("toxin",20,20); g.clear();
+        g.fillStyle(0xffa726,1); g.fillCircle(9,9,8); g.fillStyle(0x5d2a00,1); g.fillTriangle(9,9,18,4,18,14);
+        g.fillStyle(0xffe0b2,1); g.fillCircle(6,6,2);
+        g.generateTexture("enzyme",18,18); g.clear();
+
+        g.fillStyle(0xf1c6a8,1); g.fillRect(0,0,32,14); g.fillStyle(0xd99b7a,1); g.fillRect(0,9,32,5);
+        g.generateTexture("skinPlatform",32,14); g.clear();
+
+        // skin wound: platelet pickup and the clot platform they build
+        g.fillStyle(0xe1bee7,1); g.fillEllipse(7,6,13,9); g.fillStyle(0xab47bc,1); g.fillCircle(5,5,1.5); g.fillCircle(9,7,1.5);
+        g.generateTexture("platelet",14,12); g.clear();
+        g.fillStyle(0x8e0000,1); g.fillRect(0,0,40,14); g.lineStyle(1,0xff8a80,0.8);
+        [4,14,24,34].forEach((x) => g.lineBetween(x,0,x+6,14)); g.lineBetween(0,5,40,9);
+        g.generateTexture("clot",40,14); g.clear();
+
+        // calcium crystal (bone repair)
+        g.fillStyle(0xe0f7fa,1); g.fillTriangle(8,0,16,8,0,8); g.fillTriangle(0,8,16,8,8,16);
+        g.fillStyle(0xffffff,1); g.fillTriangle(8,2,12,8,4,8);
+        g.generateTexture("calcium",16,16); g.clear();
+
+        // lungs: inhaled oxygen and exhaled carbon dioxide
+        g.fillStyle(0x4fc3f7,1); g.fillCircle(5,7,4.5); g.fillCircle(12,7,4.5); g.fillStyle(0xe1f5fe,1); g.fillCircle(4,5,1.5); g.fillCircle(11,5,1.5);
+        g.generateTexture("oxygenOrb",17,14); g.clear();
+        g.fillStyle(0x9e9e9e,1); g.fillCircle(4,5,3.5); g.fillCircle(16,5,3.5); g.fillStyle(0x424242,1); g.fillCircle(10,5,4.5);
+        g.generateTexture("co2Particle",20,10); g.clear();
+
+        // blood flow: current chevrons and a valve flap
+        g.lineStyle(3,0xff8fab,1); g.beginPath(); g.moveTo(6,3); g.lineTo(14,8); g.lineTo(6,13); g.strokePath();
+        g.generateTexture("flowArrow",32,16); g.clear();
+        g.fillStyle(0xff8fab,1); g.fillRect(2,0,8,16); g.fillStyle(0xc2185b,1); g.fillRect(4,0,2,16);
+        g.generateTexture("valveGate",12,16); g.clear();
+
+        // nerve impulse
+        g.fillStyle(0xfff176,1); g.fillCircle(8,8,6); g.fillStyle(0xffffff,1); g.fillCircle(8,8,2);
+        g.generateTexture("impulse",16,16); g.clear();
+
+        // codex illustrations
+        g.fillStyle(0xe63946,1); g.fillCircle(16,18,11); g.fillCircle(32,18,11); g.fillTriangle(6,22,42,22,24,44);
+        g.fillStyle(0xffffff,0.35); g.fillCircle(14,14,3);
+        g.generateTexture("organHeart",48,48); g.clear();
+        g.fillStyle(0xffc2d1,1); g.fillRect(22,2,4,16); g.fillRect(14,16,20,3);
+        g.fillStyle(0xff8fab,1); g.fillEllipse(14,30,16,28); g.fillEllipse(34,30,16,28);
+        g.fillStyle(0xffffff,0.3); g.fillCircle(12,24,2); g.fillCircle(32,24,2);
+        g.generateTexture("organLungs",48,48); g.clear();
+        g.fillStyle(0xf8a5c2,1); g.fillEllipse(24,21,40,30); g.fillRect(21,32,6,12);
+        g.fillStyle(0xd27a9c,1); g.fillRect(23,7,2,28); g.fillRect(8,19,13,2); g.fillRect(27,15,13,2); g.fillRect(28,25,11,2);
+        g.generateTexture("organBrain",48,48); g.clear();
+        g.fillStyle(0xe8a0b4,1); g.fillEllipse(18,14,24,18);
+        g.fillStyle(0xc06c84,1); g.fillRoundedRect(10,26,30,18,7);
+        g.fillStyle(0xe8a0b4,1); g.fillRect(14,31,22,3); g.fillRect(14,37,22,3);
+        g.generateTexture("organGut",48,48); g.clear();
+        g.fillStyle(0xb5524a,1); g.fillEllipse(14,24,16,28); g.fillEllipse(34,24,16,28);
+        g.fillStyle(0x7a2e28,1); g.fillCircle(20,24,3); g.fillCircle(28,24,3);
+        g.generateTexture("organKidneys",48,48); g.clear();
+        g.fillStyle(0xeeeeee,1); g.fillCircle(24,24,18);
+        g.fillStyle(0x9575cd,1); g.fillCircle(18,21,6); g.fillCircle(29,18,6); g.fillCircle(27,30,6);
+        g.generateTexture("organImmune",48,48); g.clear();
+        g.fillStyle(0xf3e9d2,1); g.fillRect(14,20,20,8);
+        [[12,18],[12,30],[36,18],[36,30]].forEach(([x,y]) => g.fillCircle(x,y,6));
+        g.generateTexture("organBones",48,48); g.clear();
+        g.fillStyle(0x8d3b2f,1); g.fillTriangle(6,16,42,12,30,38); g.fillCircle(14,22,10);
+        g.fillStyle(0x558b2f,1); g.fillCircle(26,30,4);
+        g.generateTexture("organLiver",48,48); g.clear();
+        g.fillStyle(0xf1c6a8,1); g.fillRect(6,12,36,24); g.fillStyle(0xd99b7a,1); g.fillRect(6,28,36,8);
+        g.fillStyle(0xc62828,1); g.fillRect(22,12,4,10);
+        g.generateTexture("organSkin",48,48); g.clear();
+        g.fillStyle(0x00f5d4,0.8); g.fillCircle(24,24,18); g.fillStyle(0x0a0012,0.6); g.fillCircle(24,24,7);
+        g.generateTexture("organGeneric",48,48); g.destroy();
+
+        this.scene.start("Profiles");
+      }
+    }
+
+    // ------------- Profiles: who's playing? -------------
+    class ProfilesScene extends Phaser.Scene {
+      constructor(){ super("Profiles"); }
+      create() {
+        const { width } = this.scale;
+        this.cameras.main.setBackgroundColor("#0a0012");
+        sound.playMusic("title");
+        this.add.text(width/2, 60, "Who's playing?", { fontSize:"32px", color:"#ffffff", fontFamily:"Arial" }).setOrigin(0.5);
+        this.add.text(width/2, 98, "Tap your name to play • tap your cell to change its colour", {
+          fontSize:"14px", color:"#ffd700", fontFamily:"Arial"
+        }).setOrigin(0.5);
+        this.list = null;
+        this.renderList();
+      }
+      renderList() {
+        const { width, height } = this.scale;
+        if (this.list) this.list.destroy(true);
+        const c = this.list = this.add.container(0, 0);
+        const icon = (x, y, t, onClick) => {
+          const b = this.add.text(x, y, t, { fontSize:"18px", fontFamily:"Arial", padding:{x:4,y:2} }).setOrigin(0.5).setInteractive({useHandCursor:true});
+          b.on("pointerdown", () => { sound.play("click"); onClick(); });
+          c.add(b);
+        };
 
-        this.scene.start("Title");
+        G.roster.profiles.forEach((p, i) => {
+          const y = 150 + i*58;
+          const active = p.id === G.roster.active;
+          const row = this.add.rectangle(width/2, y, 480, 50, 0xffffff, active ? 0.14 : 0.06).setStrokeStyle(1, 0xffffff, active ? 0.4 : 0.15);
+          const cell = this.add.sprite(width/2 - 205, y, "playerCell").setScale(1.5).setTint(p.color).setInteractive({useHandCursor:true});
+          const name = this.add.text(width/2 - 175, y, p.name, { fontSize:"20px", color:"#ffffff", fontFamily:"Arial" }).setOrigin(0, 0.5);
+          const stars = this.add.text(width/2 + 70, y, `⭐ ${loadProgress(p.id).progress.stars}`, { fontSize:"16px", color:"#ffd700", fontFamily:"Arial" }).setOrigin(0, 0.5);
+          c.add([row, cell, name, stars]);
+
+          row.setInteractive({useHandCursor:true}).on("pointerdown", () => {
+            sound.unlock(); sound.play("click");
+            G.switchProfile(p.id);
+            this.scene.start("Title");
+          });
+          cell.on("pointerdown", () => {
+            sound.play("click");
+            const color = AVATAR_COLORS[(AVATAR_COLORS.indexOf(p.color) + 1) % AVATAR_COLORS.length];
+            this.updateRoster(updateProfile(G.roster, p.id, { color }));
+          });
+          icon(width/2 + 160, y, "✎", () => {
+            const n = askName("Rename player", p.name);
+            if (n) this.updateRoster(updateProfile(G.roster, p.id, { name: n }));
+          });
+          icon(width/2 + 200, y, "🗑", () => {
+            if (!window.confirm(`Delete ${p.name} and all of their progress?`)) return;
+            this.updateRoster(deleteProfile(G.roster, p.id));
+          });
+        });
+
+        if (G.roster.profiles.length < MAX_PROFILES) {
+          const add = this.add.text(width/2, height - 70, "+ New Player", {
+            fontSize:"20px", color:"#0a0012", backgroundColor:"#00f5d4", padding:{x:14,y:8}, fontFamily:"Arial"
+          }).setOrigin(0.5).setInteractive({useHandCursor:true});
+          add.on("pointerdown", () => {
+            sound.play("click");
+            const n = askName("Your name", `Player ${G.roster.profiles.length + 1}`);
+            if (!n) return;
+            G.roster = createProfile(G.roster, n);
+            G.switchProfile(G.roster.active);
+            this.renderList();
+          });
+          c.add(add);
+        }
+      }
+      updateRoster(roster) {
+        G.roster = roster;
+        G.profile = activeProfile(roster);
+        if (!G.profile) G.applyProgress(emptyProgress());
+        pushProgress();
+        this.renderList();
       }
     }
+    const askName = (title, current) => (window.prompt(title, current) ?? "").trim().slice(0, 16);
 
     // ------------- Title -------------
     class TitleScene extends Phaser.Scene {
@@ -117,11 +417,18 @@ export default function MicroMedicsGame() {
       create() {
         const { width, height } = this.scale;
         this.cameras.main.setBackgroundColor("#0a0012");
+        sound.playMusic("title");
+        if (G.loadNotice) {
+          this.add.text(width/2, 24, G.loadNotice, {
+            fontSize:"14px", color:"#0a0012", backgroundColor:"#ffb4a2", padding:{x:8,y:4}, fontFamily:"Arial"
+          }).setOrigin(0.5, 0);
+          G.loadNotice = null;
+        }
 
         this.add.text(width/2, 110, "MICROMEDICS", { fontSize:"48px", color:"#fff", fontFamily:"Arial" }).setOrigin(0.5);
         this.add.text(width/2, 160, "Arcade Anatomy • Learn by Playing", { fontSize:"18px", color:"#ffd700", fontFamily:"Arial" }).setOrigin(0.5);
 
-        const hero = this.add.sprite(width/2, height/2 - 20, "playerCell").setScale(2);
+        const hero = this.add.sprite(width/2, height/2 - 20, "playerCell").setScale(2).setTint(G.tint);
         this.tweens.add({ targets: hero, y: hero.y - 10, yoyo: true, repeat:-1, duration:900 });
 
         const btn = this.add.text(width/2, height-120, "START", {
@@ -129,9 +436,82 @@ export default function MicroMedicsGame() {
           backgroundColor:"#00f5d4", padding:{x:16,y:10}
         }).setOrigin(0.5).setInteractive({useHandCursor:true});
 
-        this.add.text(width/2, height-80, "Use ← → to move, ↑ to jump", { fontSize:"14px", color:"#fff" }).setOrigin(0.5);
+        const keys = loadBindings();
+        const how = isTouchDevice(this) ? "Hold ◀ ▶ to move, tap ⤒ to jump" : `Use ${keys.left[0]} / ${keys.right[0]} to move, ${keys.jump[0]} to jump`;
+        this.add.text(width/2, height-80, how, { fontSize:"14px", color:"#fff" }).setOrigin(0.5);
+
+        const settings = this.add.text(width-20, 20, "⚙ Controls", {
+          fontSize:"14px", color:"#ffffff", fontFamily:"Arial", backgroundColor:"#2a2140", padding:{x:8,y:4}
+        }).setOrigin(1, 0).setInteractive({useHandCursor:true});
+        settings.on("pointerdown", () => { sound.play("click"); this.scene.start("Settings", { from: "Title" }); });
+
+        const who = this.add.text(20, 20, `👤 ${G.profile?.name ?? "Guest"} · switch`, {
+          fontSize:"14px", color:"#ffffff", fontFamily:"Arial", backgroundColor:"#2a2140", padding:{x:8,y:4}
+        }).setInteractive({useHandCursor:true});
+        who.on("pointerdown", () => { sound.play("click"); this.scene.start("Profiles"); });
+
+        const start = () => { sound.unlock(); sound.play("click"); this.scene.start("Cinematic"); };
+        btn.on("pointerdown", start);
+        createControls(this).on("confirm", start);
+      }
+    }
+
+    // ------------- Settings: remap keyboard controls -------------
+    class SettingsScene extends Phaser.Scene {
+      constructor(){ super("Settings"); }
+      create(data) {
+        const { width, height } = this.scale;
+        const from = data?.from ?? "Title";
+        this.scene.bringToTop(); // may open over a paused level
+        this.cameras.main.setBackgroundColor("#0a0012");
+
+        this.add.text(width/2, 60, "Controls", { fontSize:"32px", color:"#ffffff", fontFamily:"Arial" }).setOrigin(0.5);
+        this.add.text(width/2, 100, "Click an action, then press its new key. Gamepad: d-pad / stick to move, A to jump, X to use, Start to pause.", {
+          fontSize:"14px", color:"#ffd700", fontFamily:"Arial", wordWrap:{ width: 640 }, align:"center"
+        }).setOrigin(0.5);
+        const status = this.add.text(width/2, height-150, "", { fontSize:"14px", color:"#ff9fb0", fontFamily:"Arial" }).setOrigin(0.5);
+
+        let bindings = loadBindings();
+        let listening = null;
+        const rows = {};
+        const render = () => ACTIONS.forEach((a) => rows[a].setText(listening === a ? "Press a key…" : bindings[a].join(" / ")));
+
+        const listen = (a) => {
+          sound.play("click");
+          listening = a; status.setText(""); render();
+          this.input.keyboard.once("keydown", (e) => {
+            const name = keyName(e.keyCode);
+            const owner = ACTIONS.find((x) => x !== a && bindings[x].includes(name));
+            if (!name) status.setText("That key can't be bound.");
+            else if (owner && bindings[owner].length === 1) status.setText(`${name} is the only key for ${ACTION_LABELS[owner]}.`);
+            else {
+              // new key becomes the primary binding and is taken from any other action
+              bindings = Object.fromEntries(ACTIONS.map((x) => [x, bindings[x].filter((k) => k !== name)]));
+              bindings[a] = [name, ...bindings[a].slice(1)];
+              saveBindings(bindings);
+            }
+            listening = null; render();
+          });
+        };
 
-        btn.on("pointerdown", () => this.scene.start("Cinematic"));
+        ACTIONS.forEach((a, i) => {
+          const y = 160 + i*52;
+          this.add.text(width/2 - 200, y, ACTION_LABELS[a], { fontSize:"18px", color:"#ffffff", fontFamily:"Arial" }).setOrigin(0, 0.5);
+          rows[a] = this.add.text(width/2 + 40, y, "", {
+            fontSize:"18px", color:"#00f5d4", fontFamily:"Arial", backgroundColor:"#1f1a2e", padding:{x:10,y:4}
+          }).setOrigin(0, 0.5).setInteractive({useHandCursor:true});
+          rows[a].on("pointerdown", () => { if (!listening) listen(a); });
+        });
+        render();
+
+        const reset = this.add.text(width/2 - 100, height-90, "Reset defaults", {
+          fontSize:"18px", color:"#0a0012", backgroundColor:"#ffd700", padding:{x:12,y:6}, fontFamily:"Arial"
+        }).setOrigin(0.5).setInteractive({useHandCursor:true});
+        const back = this.add.text(width/2 + 100, height-90, "◀ Back", {
+          fontSize:"18px", color:"#0a0012", backgroundColor:"#00f5d4", padding:{x:12,y:6}, fontFamily:"Arial"
+        }).setOrigin(0.5).setInteractive({useHandCursor:true});
+        reset.on("pointerdown", () => { sound.play("click"); bindings = { ...DEFAULT_BINDINGS }; saveBindings(bindings); status.setText(""); render(); });
+        back.on("pointerdown", () => { sound.play("click"); this.scene.start(from, data?.fromData); });
       }
     }
 
@@ -218,7 +598,7 @@ export default function MicroMedicsGame() {
 
           if (index === 0) {
             // Mission: hero + bloodstream vibe
-            const hero = this.add.sprite(0, 0, "playerCell").setScale(3);
+            const hero = this.add.sprite(0, 0, "playerCell").setScale(3).setTint(G.tint);
             const ring = this.add.circle(0, 0, 90, 0x00f5d4, 0.12);
             c.add([ring, hero]);
             this.tweens.add({ targets: hero, y: -8, yoyo: true, repeat: -1, duration: 900 });
@@ -227,7 +607,7 @@ export default function MicroMedicsGame() {
           if (index === 1) {
             // How to Play: platform + energy + brain + arrow labels
             const platform = this.add.image(0, 28, "platform").setScale(8, 1);
-            const hero = this.add.sprite(-120, -10, "playerCell").setScale(2.2);
+            const hero = this.add.sprite(-120, -10, "playerCell").setScale(2.2).setTint(G.tint);
             const orb = this.add.sprite(20, -40, "energyOrb").setScale(2.4);
             const brain = this.add.sprite(120, -20, "brainPower").setScale(2.2);
             c.add([platform, hero, orb, brain]);
@@ -289,7 +669,8 @@ export default function MicroMedicsGame() {
           fontSize:"14px", color:"#ffffff", fontFamily:"Arial"
         }).setInteractive({useHandCursor:true});
 
-        nextBtn.on("pointerdown", () => {
+        const next = () => {
+          sound.play("click");
           this.slide++;
           if (this.slide >= slides.length) {
             G.level = 1;
@@ -297,9 +678,12 @@ export default function MicroMedicsGame() {
           } else {
             render();
           }
-        });
+        };
+        nextBtn.on("pointerdown", next);
+        createControls(this).on("confirm", next);
 
         skip.on("pointerdown", () => {
+          sound.play("click");
           G.level = 1;
           this.scene.start("CirculatoryLevel");
         });
@@ -310,33 +694,94 @@ export default function MicroMedicsGame() {
 
 
     // -------- shared helpers for levels --------
-    function levelPhysicsCommon(scene) {
+    // worldWidth > screen width makes a side-scroller; the camera follows the player
+    function levelPhysicsCommon(scene, worldWidth, worldHeight) {
       const { width, height } = scene.scale;
-      scene.physics.world.setBounds(0,0,width,height);
+      scene.physics.world.setBounds(0,0,worldWidth ?? width,worldHeight ?? height);
       scene.platforms = scene.physics.add.staticGroup();
       return { width, height };
     }
     function enablePlayer(scene, x, y) {
-      const p = scene.physics.add.sprite(x, y, "playerCell");
+      const p = scene.physics.add.sprite(x, y, "playerCell").setTint(G.tint);
       p.setCollideWorldBounds(true).setBounce(0.08);
       p.body.setSize(20,20);
       p.setDragX(800);
       scene.player = p;
       return p;
     }
-    function enableCursors(scene) {
-      scene.cursors = scene.input.keyboard.createCursorKeys();
+    function enableControls(scene) {
+      const bind = () => {
+        scene.controls = createControls(scene);
+        scene.controls.on("jump", () => { scene.jumpBufferTime = scene.time.now; });
+        scene.controls.on("pause", () => pauseLevel(scene));
+        scene.controls.on("use", () => scene.useAction?.()); // level mechanics set useAction, e.g. placing clots
+      };
+      bind();
       scene.jumpBufferTime = 0; scene.coyoteTime = 0;
       scene.JUMP_BUFFER_MS = 140; scene.COYOTE_TIME_MS = 140; scene.JUMP_VELOCITY = -460;
-      scene.input.keyboard.on("keydown-UP", () => { scene.jumpBufferTime = scene.time.now; });
+
+      // keys may have been remapped from the pause menu's Settings
+      const rebind = () => { scene.controls.destroy(); bind(); };
+      scene.events.on(Phaser.Scenes.Events.RESUME, rebind);
+      scene.events.once(Phaser.Scenes.Events.SHUTDOWN, () => scene.events.off(Phaser.Scenes.Events.RESUME, rebind));
+
+      const pauseBtn = scene.add.text(scene.scale.width - 16, 12, "⏸", {
+        fontSize:"20px", color:"#ffffff", fontFamily:"Arial", backgroundColor:"#00000066", padding:{x:8,y:4}
+      }).setOrigin(1, 0).setScrollFactor(0).setDepth(1000).setInteractive({useHandCursor:true});
+      pauseBtn.on("pointerdown", () => pauseLevel(scene));
+      enableTouchControls(scene);
+    }
+    function pauseLevel(scene) {
+      if (scene._completed || !scene.scene.isActive()) return;
+      sound.play("click");
+      scene.scene.launch("Pause", { level: scene.scene.key });
+      scene.scene.pause();
+    }
+    const isTouchDevice = (scene) => scene.sys.game.device.input.touch;
+    // On-screen ◀ ▶ and jump pads for tablets. Each pad tracks its own pointer,
+    // so holding a direction while tapping jump works with two fingers.
+    function enableTouchControls(scene) {
+      if (!isTouchDevice(scene)) return;
+      const { width, height } = scene.scale;
+      const pad = (x, label, onDown, onUp = () => {}) => {
+        const c = scene.add.circle(x, height - 60, 36, 0xffffff, 0.18).setStrokeStyle(2, 0xffffff, 0.35);
+        scene.add.text(x, height - 60, label, { fontSize:"26px", color:"#ffffff", fontFamily:"Arial" })
+          .setOrigin(0.5).setScrollFactor(0).setDepth(1001);
+        c.setScrollFactor(0).setDepth(1000).setInteractive();
+        const press = () => { c.setFillStyle(0xffffff, 0.4); onDown(); };
+        const release = () => { c.setFillStyle(0xffffff, 0.18); onUp(); };
+        c.on("pointerdown", press);
+        c.on("pointerover", (p) => p.isDown && press()); // finger slid onto the pad
+        c.on("pointerup", release);
+        c.on("pointerout", release);
+      };
+      const hold = (a) => [() => scene.controls.press(a), () => scene.controls.release(a)];
+      pad(64, "◀", ...hold("left"));
+      pad(154, "▶", ...hold("right"));
+      pad(width - 64, "⤒", ...hold("jump"));
+      if (scene.def?.wound) pad(width - 154, "✚", ...hold("use"));
+    }
+    // HUD meter under the objectives line: a label, a 200px bar and an info text to its right.
+    // set(fraction, fill) redraws the bar.
+    function addMeter(scene, { label = "", labelColor = "#ffffff", info = "", infoColor = "#ffffff" }) {
+      const { width } = scene.scale, y = 96;
+      const text = (x, s, color, originX) => scene.add.text(x, y, s, { fontSize:"14px", color, fontFamily:"Arial" }).setOrigin(originX, 0.5).setScrollFactor(0);
+      scene.add.rectangle(width/2 - 100, y, 200, 12, 0xffffff, 0.12).setOrigin(0, 0.5).setStrokeStyle(1, 0xffffff, 0.3).setScrollFactor(0);
+      const bar = scene.add.rectangle(width/2 - 100, y, 0, 12, 0xffffff, 0.85).setOrigin(0, 0.5).setScrollFactor(0);
+      return {
+        label: text(width/2 - 110, label, labelColor, 1),
+        info: text(width/2 + 110, info, infoColor, 0),
+        set: (fraction, fill) => bar.setSize(200 * fraction, 12).setFillStyle(fill, 0.85),
+      };
     }
     function applyMoveAndJump(scene) {
       const onGround = scene.player.body.blocked.down || scene.player.body.touching.down;
       if (onGround) scene.coyoteTime = scene.time.now;
-      const speed = 200;
-      scene.player.setVelocityX(0);
-      if (scene.cursors.left.isDown) scene.player.setVelocityX(-speed);
-      else if (scene.cursors.right.isDown) scene.player.setVelocityX(speed);
+      const speed = (scene.slowUntil > scene.time.now ? 110 : 200) * (scene.buffs?.dash ? POWERUPS.dash.speed : 1); // fungal goo slows you, oxygen speeds you up
+      const drift = scene.drift ?? 0; // blood-flow currents
+      scene.player.setVelocityX(drift);
+      if (scene.controls.isDown("left")) scene.player.setVelocityX(drift - speed);
+      else if (scene.controls.isDown("right")) scene.player.setVelocityX(drift + speed);
       const canUseBuffer = scene.time.now - scene.jumpBufferTime <= scene.JUMP_BUFFER_MS;
       const hasCoyote = scene.time.now - scene.coyoteTime <= scene.COYOTE_TIME_MS;
       if (canUseBuffer && hasCoyote) {
@@ -345,118 +790,1277 @@ export default function MicroMedicsGame() {
       }
     }
 
-    // ------------- Level 1: Circulatory -------------
-    class CirculatoryLevel extends Phaser.Scene {
-      constructor(){ super("CirculatoryLevel"); this._completed=false; this.lastHitAt=0; this.HIT_COOLDOWN_MS=650; }
+    // ------------- Generic level (descriptor-driven, see src/levels) -------------
+    const hexColor = (s) => Phaser.Display.Color.HexStringToColor(s).color;
+    const spawnPoints = (spec) => spec.positions ?? Array.from({ length: spec.random.count }, () => [
+      Phaser.Math.Between(...spec.random.x), Phaser.Math.Between(...spec.random.y)
+    ]);
+
+    class LevelScene extends Phaser.Scene {
+      constructor(def){ super(def.key); this.def=def; this._completed=false; this.lastHitAt=0; this.HIT_COOLDOWN_MS=650; }
       create() {
+        const def = this.def;
+        G.level = def.level;
         G.resetStatsForLevel(); G.syncHud();
         this._completed=false; this.lastHitAt=0;
 
+        // time on task stops while the pause menu is up
+        const onPause = () => G.pauseClock(), onResume = () => G.resumeClock();
+        this.events.on(Phaser.Scenes.Events.PAUSE, onPause);
+        this.events.on(Phaser.Scenes.Events.RESUME, onResume);
+        this.events.once(Phaser.Scenes.Events.SHUTDOWN, () => {
+          this.events.off(Phaser.Scenes.Events.PAUSE, onPause);
+          this.events.off(Phaser.Scenes.Events.RESUME, onResume);
+          G.resumeClock();
+        });
+
         const { width, height } = this.scale;
-        this.cameras.main.setBackgroundColor("#1b0b21");
-        for (let i=0;i<6;i++){ const b=this.add.rectangle(width/2,i*100+50,width,60,0x5b1a34,0.15); this.tweens.add({targets:b,alpha:{from:0.08,to:0.2},yoyo:true,repeat:-1,duration:1800,delay:i*150}); }
+        const worldW = def.world?.width ?? width, worldH = def.world?.height ?? height;
+        this.worldW = worldW; this.worldH = worldH;
+        this.cameras.main.setBackgroundColor(def.background);
+        sound.playMusic(def.music);
+        (def.segments ?? []).forEach(({ x = 0, y = 0, w = worldW, h = worldH, color, label }) => {
+          this.add.rectangle(x, y, w, h, hexColor(color), 0.35).setOrigin(0, 0);
+          this.add.text(x + 16, y + 100, label, { fontSize:"16px", color:"#ffffff", fontFamily:"Arial" }).setAlpha(0.5);
+        });
+        const bands = def.bands;
+        // with a heartbeat the bands pulse once per beat
+        const bandMs = def.flow ? 60000 / def.flow.bpm / 2 : bands.duration;
+        for (let i=0;i<bands.count;i++){
+          const b=this.add.rectangle(worldW/2, i*bands.spacing+bands.spacing/2, worldW, bands.height, hexColor(bands.color), bands.alpha[1]);
+          this.tweens.add({targets:b, alpha:{from:bands.alpha[0],to:bands.alpha[1]}, yoyo:true, repeat:-1, duration:bandMs, delay:i*bands.stagger});
+        }
 
-        const ctx = levelPhysicsCommon(this);
-        this.platforms.create(ctx.width/2, ctx.height-20, "platform").setScale(25,1).refreshBody();
-        this.platforms.create(180, ctx.height-120, "platform").setScale(4,1).refreshBody();
-        this.platforms.create(ctx.width-180, ctx.height-220, "platform").setScale(4,1).refreshBody();
-        this.platforms.create(ctx.width/2, ctx.height-320, "platform").setScale(6,1).refreshBody();
+        const ctx = levelPhysicsCommon(this, worldW, worldH);
+        def.platforms.forEach(([x,y,sx]) => this.platforms.create(x, y, def.platformTexture).setScale(sx,1).refreshBody());
+        // peristalsis: platforms swaying on a sine wave, driven by velocity so they carry the player
+        this.levelMs = 0;
+        this.movers = this.physics.add.group({ allowGravity: false, immovable: true });
+        // breathing levels add platforms that spread apart on each inhale and draw together on exhale
+        const breathers = (def.breathing?.platforms ?? []).map((m) => ({ ...m, periodMs: def.breathing.periodMs, phase: 0.75 }));
+        [...(def.movers ?? []), ...breathers].forEach((m) => {
+          const k = Math.sin((m.phase ?? 0) * Math.PI * 2); // start where the wave begins
+          this.movers.create(m.x + (m.dx ?? 0) * k, m.y + (m.dy ?? 0) * k, def.platformTexture).setScale(m.sx, 1).spec = m;
+        });
 
-        enablePlayer(this, ctx.width/2, ctx.height-80);
-        enableCursors(this);
+        enablePlayer(this, ...def.player);
+        if (worldW > width || worldH > height) {
+          this.cameras.main.setBounds(0, 0, worldW, worldH).startFollow(this.player, true, 0.1, 0.1).centerOn(...def.player);
+        }
+        enableControls(this);
+        this.respawnAt = def.player;
+        // climbing levels: the view only ever scrolls up (see updateClimb)
+        this.camFloor = def.world?.scroll === "up" ? this.climbFloor() : null;
+        if (def.gravity != null) this.physics.world.gravity.y = def.gravity;
 
         // UI
-        this.add.text(ctx.width/2, 40, "Circulatory System — Tutorial", { fontSize:"20px", color:"#fff", fontFamily:"Arial" }).setOrigin(0.5);
-        this.add.text(ctx.width/2, 70, "Collect ⚡ to 10, grab 🧠 OR eat 🦠", { fontSize:"14px", color:"#ffd700" }).setOrigin(0.5);
-        this.objectiveText = this.add.text(ctx.width/2, 16, "", { fontSize:"14px", color:"#ffd700" }).setOrigin(0.5);
+        this.add.text(ctx.width/2, 40, def.title, { fontSize:"20px", color:"#fff", fontFamily:"Arial" }).setOrigin(0.5).setScrollFactor(0);
+        this.add.text(ctx.width/2, 70, def.hint, { fontSize:"14px", color:"#ffd700" }).setOrigin(0.5).setScrollFactor(0);
+        this.objectiveText = this.add.text(ctx.width/2, 16, "", { fontSize:"14px", color:"#ffd700" }).setOrigin(0.5).setScrollFactor(0);
 
         // collectibles
         this.orbs = this.physics.add.group();
-        const positions = [[120, ctx.height-60],[220, ctx.height-160],[320, ctx.height-60],[420, ctx.height-260],[520, ctx.height-160],[620, ctx.height-60],[720, ctx.height-160],[680, ctx.height-300],[240, ctx.height-300],[400, ctx.height-360],[80, ctx.height-220],[760, ctx.height-220]];
-        positions.forEach(([x,y],i)=>{ const o=this.orbs.create(x,y,"energyOrb"); o.setBounce(0.3).setCollideWorldBounds(true); this.tweens.add({targets:o, scale:{from:1,to:1.25}, yoyo:true, repeat:-1, duration:800, delay:i*80}); });
+        spawnPoints(def.orbs).forEach(([x,y],i)=>{
+          const o=this.orbs.create(x,y,"energyOrb"); o.setBounce(def.orbs.bounce).setCollideWorldBounds(true);
+          if (def.orbs.pulse) this.tweens.add({targets:o, scale:{from:1,to:1.25}, yoyo:true, repeat:-1, duration:800, delay:i*80});
+        });
         this.powerups = this.physics.add.group();
-        const pu=this.powerups.create(ctx.width/2, ctx.height-360, "brainPower"); this.tweens.add({targets:pu, angle:360, repeat:-1, duration:3000});
-
+        def.powerups.forEach((pu) => this.spawnPowerup(pu));
+        this.buffs = {};
+        this.buffText = this.add.text(16, 12, "", { fontSize:"14px", color:"#ffffff", fontFamily:"Arial", backgroundColor:"#00000066", padding:{x:6,y:3} })
+          .setScrollFactor(0).setDepth(1000).setVisible(false);
+        this.shieldRing = this.add.circle(0, 0, 20).setStrokeStyle(3, 0x7ad7f0, 0.9).setVisible(false);
+        this.allies = this.physics.add.group({ allowGravity: false });
+
+        // enemies
+        const en = def.enemies;
         this.viruses = this.physics.add.group();
-        const v1=this.viruses.create(150, ctx.height-240, "virusRed");
-        const v2=this.viruses.create(650, ctx.height-140, "virusRed");
-        [v1,v2].forEach(v=>{ v.setCollideWorldBounds(true).setBounce(1).setMaxVelocity(120,120); v.vulnerable=false; v.setVelocity(Phaser.Math.Between(-60,60),Phaser.Math.Between(-60,60)); });
+        this.enemySpec = resolveEnemy({ type: "virus", ...en });
+        spawnPoints(en).forEach(([x,y]) => this.spawnEnemy(this.enemySpec, x, y));
+        (def.pathogens ?? []).forEach((p) => {
+          const spec = resolveEnemy(p);
+          spawnPoints(p).forEach(([x,y]) => this.spawnEnemy(spec, x, y));
+        });
+        this.slowUntil = 0;
 
         // collisions & overlaps
         this.physics.add.collider(this.player, this.platforms);
         this.physics.add.collider(this.orbs, this.platforms);
         this.physics.add.collider(this.powerups, this.platforms);
         this.physics.add.collider(this.viruses, this.platforms);
+        this.physics.add.collider([this.player, this.orbs, this.powerups, this.viruses], this.movers);
+
+        // acid pools: the surface rises and falls between `low` and `high`; touching it burns
+        this.acid = (def.acid?.pools ?? []).map((a) => {
+          const pool = { ...a, surface: a.low };
+          const r = this.add.rectangle(a.x, a.low, a.w, height, 0x9ccc65, 0.55).setOrigin(0, 0);
+          this.tweens.add({
+            targets: pool, surface: a.high, yoyo: true, repeat: -1, duration: a.periodMs / 2, ease: "Sine.easeInOut",
+            onUpdate: () => r.setY(pool.surface)
+          });
+          return pool;
+        });
 
-        const maxE = 10;
-        this._brain=false; this._virus=false;
-        const updateObjective = () => {
-          this.objectiveText.setText(`Objectives → Energy ${G.energy}/${maxE} • Brain ${this._brain?1:0}/1 • Virus ${this._virus?1:0}/1`);
+        // objectives: zones to reach, cells to protect
+        this.objectives = createObjectives(def.objectives);
+        this.energyCap = collectTarget(def.objectives, "energy"); // ⚡ stops where the objective's counter does
+        this.zones = (def.zones ?? []).map((z) => {
+          const r = this.add.rectangle(z.x, z.y, z.w, z.h, 0x00f5d4, 0.15).setStrokeStyle(1, 0x00f5d4, 0.6);
+          this.physics.add.existing(r, true);
+          this.physics.add.overlap(this.player, r, () => this.track("reach", { zone: z.id }));
+          return r;
+        });
+        this.npcs = this.physics.add.group({ allowGravity: false, immovable: true });
+        (def.npcs ?? []).forEach((n) => {
+          const c = this.npcs.create(n.x, n.y, n.texture ?? "playerCell");
+          if (!n.texture) c.setTint(0xff4d4d);
+          c.npcId = n.id; c.hp = n.health; c.lastHitAt = 0;
+        });
+        const hitNpc = (c) => {
+          if (!c.active || this.time.now - c.lastHitAt < this.HIT_COOLDOWN_MS) return false;
+          c.lastHitAt = this.time.now; c.hp -= 10;
+          this.tweens.add({ targets: c, alpha: 0.3, yoyo: true, duration: 120 });
+          if (c.hp <= 0) { c.destroy(); this.track("lost", { npc: c.npcId }); }
+          return true;
         };
-        updateObjective();
+        this.physics.add.overlap(this.viruses, this.npcs, (v, c) => { if (!v.vulnerable) hitNpc(c); });
+        // a powered-up chomp doesn't tell friend from foe
+        this.physics.add.overlap(this.player, this.npcs, (_, c) => {
+          if (G.powerMode && hitNpc(c)) this.dialog("Dr. Nova: Careful — that one's on our side! Only chomp the bad guys.");
+        });
+
+        // checkpoints: touching one moves the respawn point there
+        (def.checkpoints ?? []).forEach(([x, y]) => {
+          const cp = this.add.circle(x, y, 10, 0x66ffcc, 0.25).setStrokeStyle(2, 0x66ffcc, 0.6);
+          this.physics.add.existing(cp, true);
+          this.physics.add.overlap(this.player, cp, () => {
+            if (this.respawnAt[0] === x && this.respawnAt[1] === y) return;
+            this.respawnAt = [x, y]; cp.setFillStyle(0x66ffcc, 0.8);
+            this.dialog("Dr. Nova: Checkpoint saved — you'll respawn here if you lose a life.");
+          });
+        });
 
-        this.physics.add.overlap(this.player, this.orbs, (_,orb)=>{ orb.destroy(); if (G.energy<maxE) G.energy+=1; G.score+=10; G.syncHud(); updateObjective(); });
-        this.physics.add.overlap(this.player, this.powerups, (_,p)=>{ p.destroy(); this.activatePower(6000); this._brain=true; G.score+=100; G.syncHud(); updateObjective(); });
+        this.signal = null;
+        if (def.signals) this.setupSignals(def.signals);
+        this.sorting = null;
+        if (def.filtration) this.setupFiltration(def.filtration);
+        this.boss = null;
+        if (def.boss) this.setupBoss(def.boss);
+        this.bones = null;
+        if (def.bones) this.setupBones(def.bones);
+        this.toxicity = null;
+        if (def.toxins) this.setupToxins(def.toxins);
+        this.wound = null;
+        if (def.wound) this.setupWound(def.wound);
+        this.flow = null; this.drift = 0;
+        if (def.flow) this.setupFlow(def.flow);
+        this.breath = null;
+        if (def.breathing) this.setupBreathing(def.breathing);
+
+        const pts = def.scoring;
+        this.track("tick", { ms: 0 });
+
+        this.physics.add.overlap(this.player, this.orbs, (_,orb)=>{ orb.destroy(); sound.play("pickup"); G.energy = Math.min(this.energyCap, G.energy + 1); G.score+=pts.orb; G.syncHud(); this.track("collect", { item: "energy" }); });
+        this.physics.add.overlap(this.player, this.powerups, (_,p)=>{ const type = p.powerType; p.destroy(); sound.play("power"); this.grantPowerup(type); G.score+=pts.powerup; G.syncHud(); this.track("collect", { item: type }); });
         this.physics.add.overlap(this.player, this.viruses, (_,v)=>{
-          if (!v.active) return;
-          if (G.powerMode && v.vulnerable) { v.destroy(); this._virus=true; G.score+=200; G.syncHud(); updateObjective(); }
-          else {
-            if (this.time.now - this.lastHitAt < this.HIT_COOLDOWN_MS) return;
-            this.lastHitAt = this.time.now;
-            G.health -= 10; if (G.health<0) G.health=0; this.cameras.main.shake(160,0.01); G.syncHud();
-          }
+          if (!v.active || v.graceUntil > this.time.now) return;
+          if (G.powerMode && v.vulnerable) this.defeatEnemy(v);
+          else touchEnemy(v, this);
         });
+        this.physics.add.overlap(this.allies, this.viruses, (_,v)=>{ if (v.active && !(v.graceUntil > this.time.now)) this.defeatEnemy(v); });
 
         // Dr. Nova dialog
-        this.dialog(`Dr. Nova: Charge to 10 ⚡, then grab a 🧠 or chomp a 🦠 to stabilize the heart!`);
+        this.dialog(def.intro);
+      }
+      /** Damages the player unless they were hit moments ago; true if it landed. */
+      hurt(amount) {
+        if (this.time.now - this.lastHitAt < this.HIT_COOLDOWN_MS) return false;
+        this.lastHitAt = this.time.now;
+        if (spendCharge(this.buffs, "shield")) {
+          sound.play("block");
+          this.tweens.add({ targets: this.shieldRing, scale: { from: 1.6, to: 1 }, duration: 200 });
+          return false;
+        }
+        G.health -= amount; if (G.health<0) G.health=0; this.cameras.main.shake(160,0.01); sound.play("hurt"); G.syncHud();
+        if (this.signal?.left > 0) this.dropSignal("A pathogen knocked the impulse loose!");
+        if (this.bones?.carrying) this.dropCalcium("A pathogen knocked the calcium loose!");
+        return true;
+      }
+      /** Parasite bite: takes up to n ⚡ (and the matching collect progress); returns how many. */
+      drainEnergy(n) {
+        const lost = Math.min(G.energy, n);
+        if (!lost) return 0;
+        G.energy -= lost; G.syncHud();
+        this.track("drain", { item: "energy", count: lost });
+        const t = this.add.text(this.player.x, this.player.y - 24, `-${lost} ⚡`, { fontSize:"14px", color:"#ffd700", fontFamily:"Arial" }).setOrigin(0.5);
+        this.tweens.add({ targets: t, y: t.y - 24, alpha: 0, duration: 700, onComplete: () => t.destroy() });
+        return lost;
+      }
+      dropOrbs(x, y, n) {
+        for (let i = 0; i < n; i++) {
+          this.orbs.create(x, y, "energyOrb").setBounce(0.4).setCollideWorldBounds(true)
+            .setVelocity(Phaser.Math.Between(-120, 120), Phaser.Math.Between(-260, -160));
+        }
+      }
+      track(type, payload) {
+        this.objectives.record(type, payload);
+        const line = `Objectives → ${this.objectives.describe()}`;
+        if (this.objectiveText.text !== line) this.objectiveText.setText(line);
       }
       dialog(text) {
         const { width } = this.scale;
-        const box = this.add.rectangle(width/2, 520, 680, 60, 0x000000, 0.5).setStrokeStyle(1,0xffffff,0.2);
-        const msg = this.add.text(width/2, 520, text, { fontSize:"14px", color:"#ffffff", fontFamily:"Arial", wordWrap:{width:640} }).setOrigin(0.5);
+        const box = this.add.rectangle(width/2, 520, 700, 60, 0x000000, 0.5).setStrokeStyle(1,0xffffff,0.2).setScrollFactor(0).setDepth(900);
+        const msg = this.add.text(width/2, 520, text, { fontSize:"14px", color:"#ffffff", fontFamily:"Arial", wordWrap:{width:660} })
+          .setOrigin(0.5).setScrollFactor(0).setDepth(900);
         this.time.delayedCall(3500, () => { box.destroy(); msg.destroy(); });
       }
-      activatePower(ms) {
-        G.powerMode=true; G.powerTimer=ms; this.player.setTint(0x66ffcc);
-        this.viruses.children.iterate(v=>v && (v.vulnerable=true, v.setTint(0x5dade2)));
+      // nerve signals { source: [x, y], synapses: [[x, y]], carryMs }: pick up an impulse at the source and
+      // carry it to the lit synapse before it fades (counts as collecting item "signal"); a hit drops it
+      setupSignals(spec) {
+        const [sx, sy] = spec.source;
+        const source = this.add.circle(sx, sy, 16, 0xfff176, 0.3).setStrokeStyle(2, 0xfff176, 0.8);
+        this.tweens.add({ targets: source, scale: 1.25, yoyo: true, repeat: -1, duration: 500 });
+        this.physics.add.existing(source, true);
+        this.synapses = spec.synapses.map(([x, y]) => {
+          const s = this.add.circle(x, y, 18, 0xb388ff, 0.12);
+          this.physics.add.existing(s, true);
+          return s;
+        });
+        this.signal = {
+          target: 0, left: 0,
+          spark: this.add.image(sx, sy, "impulse").setVisible(false).setDepth(5),
+          timer: this.add.text(sx, sy, "", { fontSize:"12px", color:"#fff176", fontFamily:"Arial" }).setOrigin(0.5).setDepth(5),
+        };
+        this.lightSynapse();
+
+        this.physics.add.overlap(this.player, source, () => {
+          if (this.signal.left > 0) return;
+          this.signal.left = spec.carryMs; this.signal.spark.setVisible(true);
+          sound.play("pickup");
+        });
+        this.synapses.forEach((s, i) => this.physics.add.overlap(this.player, s, () => {
+          if (this.signal.left <= 0 || i !== this.signal.target) return;
+          this.clearSignal();
+          sound.play("power"); this.cameras.main.flash(120, 179, 136, 255);
+          G.score += this.def.scoring.signal; G.syncHud();
+          this.track("collect", { item: "signal" });
+          this.signal.target = (i + 1) % this.synapses.length;
+          this.lightSynapse();
+        }));
+      }
+      lightSynapse() {
+        this.synapses.forEach((s, i) => {
+          const lit = i === this.signal.target;
+          s.setFillStyle(0xb388ff, lit ? 0.45 : 0.12).setStrokeStyle(2, 0xb388ff, lit ? 1 : 0.35);
+        });
+      }
+      clearSignal() {
+        this.signal.left = 0; this.signal.spark.setVisible(false); this.signal.timer.setText("");
+      }
+      dropSignal(why) {
+        this.clearSignal();
+        this.dialog(`Dr. Nova: ${why} Grab a fresh impulse at the dendrite.`);
+      }
+      updateSignal(dt) {
+        const s = this.signal;
+        if (!s || s.left <= 0) return;
+        s.left -= dt;
+        if (s.left <= 0) { sound.play("hurt"); return this.dropSignal("The impulse faded before it reached the synapse."); }
+        s.spark.setPosition(this.player.x, this.player.y - 20);
+        s.timer.setPosition(this.player.x, this.player.y - 36).setText(`${Math.ceil(s.left / 1000)}s`);
+      }
+      // bone repair { calcium: [[x, y]], fractures: [[x, y, scaleX]], crumbling: [[x, y, scaleX]], crumbleMs,
+      // regrowMs }: carry one calcium at a time to a see-through fracture to make it solid (item "fracture",
+      // scoring.repair); a hit drops it. Osteoporotic ledges crumble crumbleMs after you land on them and
+      // grow back regrowMs later
+      setupBones(spec) {
+        this.bones = { carrying: null, icon: this.add.image(0, 0, "calcium").setVisible(false).setDepth(5) };
+        const calcium = this.physics.add.staticGroup();
+        spec.calcium.forEach(([x, y]) => this.tweens.add({ targets: calcium.create(x, y, "calcium"), scale: 1.25, yoyo: true, repeat: -1, duration: 600 }));
+        this.physics.add.overlap(this.player, calcium, (_, c) => {
+          if (this.bones.carrying) return;
+          this.bones.carrying = c; c.disableBody(true, true);
+          this.bones.icon.setVisible(true); sound.play("pickup");
+        });
+
+        const fractures = this.physics.add.staticGroup();
+        spec.fractures.forEach(([x, y, sx]) => fractures.create(x, y, "boneCracked").setScale(sx, 1).setAlpha(0.55).refreshBody());
+        this.physics.add.overlap(this.player, fractures, (_, f) => {
+          if (!this.bones.carrying) return;
+          this.bones.carrying = null; this.bones.icon.setVisible(false);
+          const patched = this.platforms.create(f.x, f.y, this.def.platformTexture).setScale(f.scaleX, 1).refreshBody();
+          this.tweens.add({ targets: patched, alpha: { from: 0.3, to: 1 }, duration: 300 });
+          f.destroy(); sound.play("power");
+          G.score += this.def.scoring.repair; G.syncHud();
+          this.track("collect", { item: "fracture" });
+        });
+
+        const ledges = this.physics.add.staticGroup();
+        spec.crumbling.forEach(([x, y, sx]) => ledges.create(x, y, "boneCrumbly").setScale(sx, 1).refreshBody());
+        this.physics.add.collider([this.orbs, this.powerups, this.viruses], ledges);
+        this.physics.add.collider(this.player, ledges, (_, l) => {
+          if (l.crumbling || !this.player.body.touching.down) return;
+          l.crumbling = true;
+          this.tweens.add({ targets: l, alpha: 0.4, yoyo: true, repeat: 2, duration: spec.crumbleMs / 6 });
+          this.time.delayedCall(spec.crumbleMs, () => {
+            l.disableBody(false, true); sound.play("crumble");
+            this.time.delayedCall(spec.regrowMs, () => { l.enableBody(false, 0, 0, true, true); l.setAlpha(1).crumbling = false; });
+          });
+        });
+      }
+      dropCalcium(why) {
+        const c = this.bones.carrying;
+        this.bones.carrying = null; this.bones.icon.setVisible(false);
+        c.enableBody(false, 0, 0, true, true);
+        this.dialog(`Dr. Nova: ${why} It rolled back to where you found it.`);
+      }
+      climbFloor() {
+        return Math.min(this.worldH, this.respawnAt[1] + this.scale.height / 2);
+      }
+      // the bottom of the view never drops more than half a screen below the highest point
+      // reached; falling out of it costs health and returns you to the last checkpoint
+      updateClimb() {
+        this.camFloor = Math.min(this.camFloor, this.player.y + this.scale.height / 2);
+        this.cameras.main.setBounds(0, 0, this.worldW, this.camFloor);
+        if (this.player.y < this.camFloor + 24) return;
+        G.health = Math.max(0, G.health - this.def.world.fallDamage); G.syncHud(); sound.play("hurt");
+        this.player.setPosition(...this.respawnAt).setVelocity(0, 0);
+        this.camFloor = this.climbFloor();
+        if (this.bones?.carrying) this.dropCalcium("You dropped the calcium in the fall!");
+        else if (G.health > 0) this.dialog("Dr. Nova: You slipped! Back to the last checkpoint — climb carefully.");
+      }
+      // liver detox { inlets: [[x, y]], intervalMs, maxActive, speed, damage, meter: { max, rise, relief },
+      // enzymes: { positions, charges, respawnMs } }: toxins seep in from the inlets and every one still
+      // drifting around pushes the meter up by `rise` per second (full = fail "toxicity"); enzyme pickups give
+      // charges, and touching a toxin spends one to neutralise it (−relief, records defeat { enemy: "toxin" })
+      // — without one it hurts
+      setupToxins(spec) {
+        this.toxicity = { level: 0, enzymes: 0 };
+        this.toxins = this.physics.add.group({ allowGravity: false });
+        this.toxicity.hud = addMeter(this, { label: "☣ Toxicity", labelColor: "#c6ff00", info: "🧪 ×0", infoColor: "#ffa726" });
+
+        const enzymes = this.physics.add.staticGroup();
+        spec.enzymes.positions.forEach(([x, y]) => this.tweens.add({ targets: enzymes.create(x, y, "enzyme"), angle: 360, repeat: -1, duration: 2000 }));
+        this.physics.add.overlap(this.player, enzymes, (_, e) => {
+          e.disableBody(true, true); sound.play("pickup");
+          this.toxicity.enzymes += spec.enzymes.charges;
+          this.toxicity.hud.info.setText(`🧪 ×${this.toxicity.enzymes}`);
+          this.time.delayedCall(spec.enzymes.respawnMs, () => e.enableBody(false, 0, 0, true, true));
+        });
+
+        this.physics.add.overlap(this.player, this.toxins, (_, t) => {
+          if (!t.active) return;
+          if (!this.toxicity.enzymes) return this.hurt(spec.damage);
+          this.toxicity.enzymes -= 1;
+          this.toxicity.hud.info.setText(`🧪 ×${this.toxicity.enzymes}`);
+          this.toxicity.level = Math.max(0, this.toxicity.level - spec.meter.relief);
+          const puff = this.add.circle(t.x, t.y, 10, 0xc6ff00, 0.6);
+          this.tweens.add({ targets: puff, scale: 3, alpha: 0, duration: 300, onComplete: () => puff.destroy() });
+          t.destroy(); sound.play("chomp");
+          G.score += this.def.scoring.toxin; G.syncHud();
+          this.track("defeat", { enemy: "toxin" });
+        });
+        this.time.addEvent({ delay: spec.intervalMs, loop: true, callback: () => {
+          if (this._completed || this.toxins.countActive() >= spec.maxActive) return;
+          const [x, y] = Phaser.Utils.Array.GetRandom(spec.inlets);
+          const t = this.toxins.create(x, y, "toxin").setCollideWorldBounds(true).setBounce(1);
+          const a = Phaser.Math.FloatBetween(0.2, Math.PI - 0.2);
+          t.setVelocity(Math.cos(a) * spec.speed, Math.sin(a) * spec.speed);
+          this.tweens.add({ targets: t, scale: { from: 0.3, to: 1 }, duration: 300 });
+        } });
+      }
+      updateToxins(dt) {
+        const tox = this.toxicity, { meter } = this.def.toxins;
+        tox.level = Math.min(meter.max, tox.level + this.toxins.countActive() * meter.rise * dt / 1000);
+        tox.hud.set(tox.level / meter.max, tox.level > meter.max * 0.75 ? 0xff5252 : 0xc6ff00);
+        if (tox.level >= meter.max) this.fail("toxicity");
+      }
+      // skin wound { cut: { x, y, w }, spawnMs, maxActive, invaders, platelets: { positions, respawnMs },
+      // clot: { width, cost, reach, lifeMs } }: `invaders` (a pathogen entry) pour in through every unsealed
+      // clot-width slot of the cut, each recording spawn { enemy } for a "clear" objective. Platelets are
+      // spent (clot.cost each) on clots placed with the "use" action — within `reach` below the cut they
+      // seal a slot for good (item "seal"), anywhere else they're stepping stones that dissolve after lifeMs
+      setupWound(spec) {
+        const { cut, clot } = spec;
+        this.add.rectangle(cut.x, 0, cut.w, cut.y + 8, 0xb71c1c, 0.45).setOrigin(0, 0);
+        this.wound = { platelets: 0, sealed: Array(Math.ceil(cut.w / clot.width)).fill(false), invader: resolveEnemy(spec.invaders) };
+        this.wound.hud = addMeter(this, { label: "🩹 Cut sealed", labelColor: "#ef9a9a", infoColor: "#e1bee7" });
+
+        const platelets = this.physics.add.staticGroup();
+        spec.platelets.positions.forEach(([x, y]) => this.tweens.add({ targets: platelets.create(x, y, "platelet"), scale: 1.3, yoyo: true, repeat: -1, duration: 700 }));
+        this.physics.add.overlap(this.player, platelets, (_, pl) => {
+          pl.disableBody(true, true); sound.play("pickup");
+          this.wound.platelets += 1; this.updateWoundLabel();
+          this.time.delayedCall(spec.platelets.respawnMs, () => pl.enableBody(false, 0, 0, true, true));
+        });
+
+        this.clots = this.physics.add.staticGroup();
+        this.physics.add.collider([this.player, this.orbs, this.powerups, this.viruses], this.clots);
+        this.useAction = () => this.placeClot();
+
+        this.time.addEvent({ delay: spec.spawnMs, loop: true, callback: () => {
+          const open = this.wound.sealed.flatMap((s, i) => (s ? [] : [i]));
+          if (this._completed || !open.length || this.viruses.countActive() >= spec.maxActive) return;
+          const v = this.spawnEnemy(this.wound.invader, cut.x + (Phaser.Utils.Array.GetRandom(open) + 0.5) * clot.width, cut.y);
+          this.track("spawn", { enemy: v.texture.key });
+        } });
+        this.updateWoundLabel();
+      }
+      placeClot() {
+        const { cut, clot } = this.def.wound, w = this.wound, p = this.player;
+        if (this._completed) return;
+        if (w.platelets < clot.cost) {
+          sound.play("click");
+          this.tweens.add({ targets: w.hud.info, scale: 1.2, yoyo: true, duration: 120 });
+          return;
+        }
+        w.platelets -= clot.cost;
+        const i = Math.floor((p.x - cut.x) / clot.width);
+        const sealing = i >= 0 && i < w.sealed.length && !w.sealed[i] && p.y - cut.y < clot.reach;
+        const c = sealing
+          ? this.clots.create(cut.x + (i + 0.5) * clot.width, cut.y, "clot")
+          : this.clots.create(p.x, p.y + 22, "clot");
+        this.tweens.add({ targets: c, alpha: { from: 0.3, to: 1 }, duration: 200 });
+        sound.play("block");
+        if (sealing) {
+          w.sealed[i] = true;
+          this.track("collect", { item: "seal" });
+          if (w.sealed.every(Boolean)) this.dialog("Dr. Nova: Wound sealed! Nothing else can get in — now clear out the bacteria inside.");
+        } else {
+          this.time.delayedCall(clot.lifeMs, () => this.tweens.add({ targets: c, alpha: 0, duration: 400, onComplete: () => c.destroy() }));
+        }
+        this.updateWoundLabel();
+      }
+      updateWoundLabel() {
+        const { clot } = this.def.wound, key = this.controls.bindings.use[0], w = this.wound;
+        w.hud.set(w.sealed.filter(Boolean).length / w.sealed.length, 0xef5350);
+        w.hud.info.setText(`🩸 Platelets ${w.platelets} • ${key} places a clot (${clot.cost})`);
+      }
+      // blood flow { bpm, currents: [{ x, y, w, h, push }], pulse: { boost, ms }, valves?: [{ x, y, h }],
+      // valveOpenMs }: current zones carry the player and pathogens `push` px/s sideways (negative = left),
+      // each heartbeat boosts them × boost for `ms`, and valve gates only swing open on the beat. The
+      // backdrop bands pulse once per beat instead of using bands.duration
+      setupFlow(spec) {
+        this.flow = { pulseUntil: 0 };
+        this.currents = spec.currents.map((c) => ({
+          ...c,
+          arrows: this.add.tileSprite(c.x + c.w/2, c.y + c.h/2, c.w, c.h, "flowArrow").setAlpha(0.3).setFlipX(c.push < 0),
+        }));
+        this.valves = (spec.valves ?? []).map(({ x, y, h }) => this.platforms.create(x, y, "valveGate").setScale(1, h / 16).refreshBody());
+        this.time.addEvent({ delay: 60000 / spec.bpm, loop: true, callback: () => this.heartbeat() });
+      }
+      heartbeat() {
+        const spec = this.def.flow;
+        if (this._completed) return;
+        this.flow.pulseUntil = this.levelMs + spec.pulse.ms;
+        sound.play("beat");
+        this.currents.forEach((c) => this.tweens.add({ targets: c.arrows, alpha: { from: 0.65, to: 0.3 }, duration: spec.pulse.ms * 2 }));
+        this.valves.forEach((v) => {
+          v.disableBody(false, false); v.setAlpha(0.2);
+          this.time.delayedCall(spec.valveOpenMs, () => { v.enableBody(false, 0, 0, true, true); v.setAlpha(1); });
+        });
+      }
+      updateFlow(dt) {
+        const boost = this.levelMs < this.flow.pulseUntil ? this.def.flow.pulse.boost : 1;
+        const pushAt = (o) => boost * this.currents.reduce((sum, c) => (o.x >= c.x && o.x <= c.x + c.w && o.y >= c.y && o.y <= c.y + c.h ? sum + c.push : sum), 0);
+        this.drift = pushAt(this.player); // applyMoveAndJump adds it to the player's run speed
+        // pathogens get theirs added to their velocity after steering; last frame's is taken back first
+        // for types that don't set a fresh velocity every frame
+        this.viruses.children.iterate((v) => {
+          if (!v?.active) return;
+          v.body.velocity.x -= v.drift ?? 0;
+          v.drift = v.stuck ? 0 : pushAt(v);
+        });
+        this.currents.forEach((c) => { c.arrows.tilePositionX -= Math.abs(c.push) * boost * dt / 1000; });
+      }
+      // breathing { periodMs, airway: [x, y], platforms: [{ x, y, sx, dx?, dy? }], o2: { intervalMs, speed,
+      // spread, exhaleSpeed }, co2: { intervalMs, max, damage, area: { x: [min, max], y: [min, max] } } }:
+      // the cycle (inhale for the first half of periodMs, exhale for the second) moves the breathing
+      // platforms; O2 streams in through the airway while inhaling (item "oxygen") and drifts back out on
+      // the exhale, and CO2 builds up in `area` until the player blows it out during an exhale (item "co2")
+      // — at `max` it hurts
+      setupBreathing(spec) {
+        const [ix, iy] = spec.airway;
+        this.breath = { inhaling: true };
+        this.add.rectangle(ix, 0, 64, iy + 12, 0xb2ebf2, 0.15).setOrigin(0.5, 0).setStrokeStyle(1, 0xb2ebf2, 0.4);
+        this.breath.hud = addMeter(this, { label: "🫁 Inhale ▼", labelColor: "#b2ebf2", infoColor: "#bdbdbd" });
+
+        this.oxygen = this.physics.add.group({ allowGravity: false });
+        this.physics.add.overlap(this.player, this.oxygen, (_, o) => {
+          o.destroy(); sound.play("pickup");
+          G.score += this.def.scoring.oxygen; G.syncHud();
+          this.track("collect", { item: "oxygen" });
+        });
+        this.time.addEvent({ delay: spec.o2.intervalMs, loop: true, callback: () => {
+          if (this._completed || !this.breath.inhaling) return;
+          const o = this.oxygen.create(ix + Phaser.Math.Between(-20, 20), iy, "oxygenOrb").setCollideWorldBounds(true).setBounce(1);
+          o.setVelocity(Phaser.Math.Between(-spec.o2.spread, spec.o2.spread), spec.o2.speed);
+        } });
+
+        this.co2 = this.physics.add.group({ allowGravity: false });
+        this.physics.add.overlap(this.player, this.co2, (_, c) => {
+          if (this.breath.inhaling || !c.body.enable) return;
+          c.body.enable = false; sound.play("power");
+          this.tweens.add({ targets: c, x: ix, y: 0, alpha: 0, duration: 500, onComplete: () => c.destroy() });
+          G.score += this.def.scoring.co2; G.syncHud();
+          this.track("collect", { item: "co2" });
+        });
+        this.time.addEvent({ delay: spec.co2.intervalMs, loop: true, callback: () => {
+          if (this._completed) return;
+          const [x, y] = [Phaser.Math.Between(...spec.co2.area.x), Phaser.Math.Between(...spec.co2.area.y)];
+          const c = this.co2.create(x, y, "co2Particle").setCollideWorldBounds(true).setBounce(1);
+          c.setVelocity(Phaser.Math.Between(-30, 30), Phaser.Math.Between(-30, 30));
+          this.tweens.add({ targets: c, scale: { from: 0, to: 1 }, duration: 300 });
+        } });
+      }
+      updateBreathing() {
+        const spec = this.def.breathing, b = this.breath, [ix, iy] = spec.airway;
+        const t = this.levelMs % spec.periodMs;
+        const volume = (1 - Math.cos(t / spec.periodMs * Math.PI * 2)) / 2; // same wave as the platforms
+        const inhaling = t < spec.periodMs / 2;
+        if (inhaling !== b.inhaling) {
+          b.inhaling = inhaling;
+          b.hud.label.setText(inhaling ? "🫁 Inhale ▼" : "🫁 Exhale ▲");
+        }
+        b.hud.set(volume, inhaling ? 0x4fc3f7 : 0xbdbdbd);
+
+        // leftover oxygen is breathed back out
+        if (!inhaling) this.oxygen.getChildren().slice().forEach((o) => {
+          if (Phaser.Math.Distance.Between(o.x, o.y, ix, iy) < 20) o.destroy();
+          else this.physics.moveTo(o, ix, iy, spec.o2.exhaleSpeed);
+        });
+        const co2 = this.co2.countActive();
+        b.hud.info.setText(`CO₂ ${co2}/${spec.co2.max}`).setColor(co2 >= spec.co2.max ? "#ff5252" : "#bdbdbd");
+        if (co2 >= spec.co2.max) this.hurt(spec.co2.damage); // too much CO2: short of breath
+      }
+      // kidney filtration { inlet, junction: [x, y], intervalMs, fallSec, kinds: { id: { texture, label, weight } },
+      // outlets: [{ id, x, label, accepts: [kind], pad: [x, y] }] }: particles drop from the inlet and the
+      // junction sends them to the outlet picked on the switch pads, each arrival recording a "sort" event;
+      // the player can also bump them off course
+      setupFiltration(spec) {
+        const { height } = this.scale;
+        const [jx, jy] = spec.junction;
+        const bag = Object.entries(spec.kinds).flatMap(([k, v]) => Array(v.weight ?? 1).fill(k));
+        this.sorting = { right: 0, total: 0, route: 0 };
+        this.particles = this.physics.add.group();
+        this.physics.add.collider(this.player, this.particles);
+
+        this.add.circle(...spec.inlet, 22, 0xffffff, 0.08).setStrokeStyle(2, 0xffffff, 0.3);
+        const junction = this.add.rectangle(jx, jy, 80, 24, 0xffffff, 0.1).setStrokeStyle(1, 0xffffff, 0.3);
+        this.physics.add.existing(junction, true);
+        const arrow = this.add.text(jx, jy - 32, "", { fontSize:"22px", color:"#00f5d4", fontFamily:"Arial" }).setOrigin(0.5);
+
+        const outlets = spec.outlets.map((o) => {
+          const zone = this.add.rectangle(o.x, height - 52, 200, 72, 0xffffff, 0.08).setStrokeStyle(1, 0xffffff, 0.3);
+          this.physics.add.existing(zone, true);
+          this.physics.add.overlap(zone, this.particles, (_, p) => this.sortParticle(p, o));
+          this.add.text(o.x, height - 104, o.label, { fontSize:"14px", color:"#ffffff", fontFamily:"Arial" }).setOrigin(0.5);
+          const pad = this.add.rectangle(o.pad[0], o.pad[1], 44, 12, 0x00f5d4, 0.3);
+          this.physics.add.existing(pad, true);
+          return { o, pad };
+        });
+        const setRoute = (i) => {
+          if (this.sorting.route === i && arrow.text) return;
+          this.sorting.route = i;
+          const dx = spec.outlets[i].x - jx;
+          arrow.setText(dx < 0 ? "◀" : dx > 0 ? "▶" : "▼");
+          outlets.forEach(({ pad }, j) => pad.setFillStyle(0x00f5d4, j === i ? 0.9 : 0.3));
+        };
+        outlets.forEach(({ pad }, i) => this.physics.add.overlap(pad, this.player, () => setRoute(i)));
+        setRoute(0);
+
+        this.physics.add.overlap(junction, this.particles, (_, p) => {
+          if (p.routed) return;
+          p.routed = true;
+          p.setVelocity((spec.outlets[this.sorting.route].x - p.x) / spec.fallSec, -80);
+        });
+        this.time.addEvent({ delay: spec.intervalMs, loop: true, callback: () => {
+          if (this._completed) return;
+          const kind = Phaser.Utils.Array.GetRandom(bag);
+          const p = this.particles.create(spec.inlet[0], spec.inlet[1], spec.kinds[kind].texture);
+          p.kind = kind; p.body.mass = 0.3; p.setVelocityX(Phaser.Math.Between(-15, 15));
+        } });
+      }
+      /** Scores a particle reaching an outlet (`outlet` null = it fell out of the nephron). */
+      sortParticle(p, outlet) {
+        if (!p.active) return;
+        p.destroy();
+        const spec = this.def.filtration, pts = this.def.scoring;
+        const ok = !!outlet?.accepts.includes(p.kind);
+        this.sorting.total += 1;
+        if (ok) { this.sorting.right += 1; G.score += pts.sorted; sound.play("pickup"); }
+        else {
+          G.score = Math.max(0, G.score - pts.missorted); sound.play("hurt");
+          const home = spec.outlets.find((o) => o.accepts.includes(p.kind));
+          const t = this.add.text(outlet?.x ?? p.x, this.scale.height - 140, `✖ ${spec.kinds[p.kind].label} → ${home.label}`, {
+            fontSize:"13px", color:"#ff9fb0", fontFamily:"Arial", backgroundColor:"#00000088", padding:{x:6,y:3}
+          }).setOrigin(0.5);
+          this.tweens.add({ targets: t, y: t.y - 30, alpha: 0, delay: 900, duration: 700, onComplete: () => t.destroy() });
+        }
+        G.syncHud();
+        this.track("sort", { correct: ok });
+      }
+      /** Adds a pathogen (spec from resolveEnemy, see src/enemies.js); `extra` is copied onto the sprite first. */
+      spawnEnemy(spec, x, y, extra) {
+        const v = this.viruses.create(x, y, spec.texture);
+        Object.assign(v, extra, { spec, vulnerable: G.powerMode });
+        spawnHook(v, spec);
+        if (G.powerMode) v.setTint(hexColor(this.def.enemies.vulnerableTint));
+        return v;
+      }
+      // boss { name, spawn, health, chompDamage, hitCooldownMs, touchDamage, sporeDamage, sporeSpeed,
+      // chargeSpeed, maxMinions, powerupEveryMs, phases: [{ at, speed, cooldownMs, attacks, minions, spores,
+      // line? }] }: drifts overhead and attacks on a timer ("minions" from `enemies`, "spores", "charge"),
+      // each phase taking over once health falls to `at` × health; only a powered-up chomp hurts it, and
+      // beating it records defeat { enemy: "boss" }
+      setupBoss(spec) {
+        const { width } = this.scale;
+        const b = this.boss = this.physics.add.sprite(...spec.spawn, "bossBacterium").setCollideWorldBounds(true);
+        b.body.setAllowGravity(false); b.setImmovable(true);
+        Object.assign(b, { hp: spec.health, phase: 0, state: "drift", stateUntil: 0, dir: 1, lastHitAt: 0, nextAttackAt: 2500 });
+
+        this.spores = this.physics.add.group({ allowGravity: false });
+        this.physics.add.collider(this.spores, this.platforms, (s) => s.destroy());
+        this.physics.add.overlap(this.player, this.spores, (_, s) => { s.destroy(); this.hurt(spec.sporeDamage); });
+        this.physics.add.overlap(this.player, b, () => this.touchBoss());
+
+        this.add.rectangle(width/2, 100, 404, 16, 0x000000, 0.6).setScrollFactor(0);
+        this.bossBar = this.add.rectangle(width/2 - 200, 100, 400, 10, 0xff5252).setOrigin(0, 0.5).setScrollFactor(0);
+        this.bossName = this.add.text(width/2, 116, spec.name, { fontSize:"12px", color:"#ffffff", fontFamily:"Arial" }).setOrigin(0.5, 0).setScrollFactor(0);
+        this.powerupClock = 0;
+      }
+      touchBoss() {
+        const b = this.boss, spec = this.def.boss;
+        if (!b.active || this.time.now - b.lastHitAt < spec.hitCooldownMs) return;
+        const away = Math.sign(this.player.x - b.x) || 1;
+        if (!G.powerMode) {
+          this.hurt(spec.touchDamage);
+          this.player.setVelocity(away * 260, -220);
+          return;
+        }
+        b.lastHitAt = this.time.now;
+        b.hp = Math.max(0, b.hp - spec.chompDamage);
+        this.bossBar.width = 400 * b.hp / spec.health;
+        this.player.setVelocity(away * 320, -260);
+        sound.play("chomp"); this.cameras.main.shake(120, 0.008);
+        this.tweens.add({ targets: b, alpha: 0.4, yoyo: true, repeat: 2, duration: 80 });
+        if (b.hp <= 0) return this.defeatBoss();
+        const next = spec.phases[b.phase + 1];
+        if (next && b.hp <= next.at * spec.health) {
+          b.phase += 1;
+          b.lastHitAt = this.time.now + 1200; // brief invulnerability while it transforms
+          b.state = "drift"; b.nextAttackAt = this.levelMs + 1500;
+          this.cameras.main.flash(200, 255, 82, 82);
+          this.bossName.setText(`${spec.name} — phase ${b.phase + 1}`);
+          if (next.line) this.dialog(next.line);
+        }
+      }
+      defeatBoss() {
+        const b = this.boss;
+        b.body.enable = false;
+        this.spores.clear(true, true);
+        sound.play("power");
+        G.score += this.def.scoring.boss; G.syncHud();
+        this.tweens.add({ targets: b, scale: 0, angle: 180, duration: 700, onComplete: () => {
+          b.destroy();
+          this.track("defeat", { enemy: "boss" });
+        } });
+      }
+      bossAttack(kind) {
+        const b = this.boss, spec = this.def.boss, ph = spec.phases[b.phase];
+        if (kind === "minions") {
+          const room = spec.maxMinions - this.viruses.countActive();
+          for (let i = 0; i < Math.min(room, ph.minions); i++) this.spawnEnemy(this.enemySpec, b.x + Phaser.Math.Between(-40, 40), b.y + 30);
+        } else if (kind === "spores") {
+          const aim = Phaser.Math.Angle.Between(b.x, b.y, this.player.x, this.player.y);
+          for (let i = 0; i < ph.spores; i++) {
+            const a = aim + (i - (ph.spores - 1) / 2) * 0.22;
+            const s = this.spores.create(b.x, b.y + 10, "spore").setVelocity(Math.cos(a) * spec.sporeSpeed, Math.sin(a) * spec.sporeSpeed);
+            this.time.delayedCall(4000, () => s.destroy());
+          }
+        } else if (kind === "charge") {
+          // telegraph, then dash at where the player stood
+          b.state = "windup"; b.stateUntil = this.levelMs + 700;
+          b.setVelocity(0, 0); b.target = { x: this.player.x, y: this.player.y };
+          this.tweens.add({ targets: b, scale: 1.15, yoyo: true, repeat: 2, duration: 110 });
+        }
+      }
+      updateBoss(dt) {
+        const b = this.boss, spec = this.def.boss;
+        if (!b?.body?.enable) return;
+        const ph = spec.phases[b.phase];
+
+        // a fresh 🧠 appears whenever none is left, so there's always another vulnerability window
+        if (this.powerups.countActive() === 0 && !G.powerMode) {
+          this.powerupClock += dt;
+          if (this.powerupClock >= spec.powerupEveryMs) {
+            this.powerupClock = 0;
+            this.spawnPowerup({ ...Phaser.Utils.Array.GetRandom(this.def.powerups.filter((p) => (p.type ?? "brain") === "brain")), type: "brain" });
+          }
+        }
+
+        if (b.state === "windup") {
+          b.setTint(0xff1744);
+          if (this.levelMs >= b.stateUntil) {
+            b.state = "charge"; b.stateUntil = this.levelMs + 900;
+            this.physics.moveTo(b, b.target.x, b.target.y, spec.chargeSpeed);
+          }
+          return;
+        }
+        if (b.state === "charge") {
+          if (this.levelMs >= b.stateUntil) b.state = "drift";
+          return;
+        }
+        if (G.powerMode) b.setTint(hexColor(this.def.enemies.vulnerableTint)); else b.clearTint();
+        // patrol overhead, easing back to the home height after a charge
+        if (b.x < 100) b.dir = 1; else if (b.x > this.scale.width - 100) b.dir = -1;
+        b.setVelocity(b.dir * ph.speed, (spec.spawn[1] - b.y) * 1.5 + Math.cos(this.levelMs / 400) * 30);
+        if (this.levelMs >= b.nextAttackAt) {
+          this.bossAttack(Phaser.Utils.Array.GetRandom(ph.attacks));
+          b.nextAttackAt = this.levelMs + ph.cooldownMs;
+        }
+      }
+      spawnPowerup({ x, y, spinMs, type = "brain" }) {
+        const pu = this.powerups.create(x, y, POWERUPS[type].texture);
+        pu.powerType = type;
+        this.tweens.add({ targets: pu, angle: 360, repeat: -1, duration: spinMs });
+        return pu;
+      }
+      /** Starts (or stacks) a power-up; timers run down in update() via tickPowerups. */
+      grantPowerup(type) {
+        const spec = POWERUPS[type];
+        const buff = stackPowerup(this.buffs, type, type === "brain" ? this.def.powerMs : spec.durationMs);
+        if (type === "brain") this.activatePower();
+        if (type === "ally") {
+          while (this.allies.countActive() < buff.charges) {
+            const a = this.allies.create(this.player.x, this.player.y - 24, spec.texture);
+            a.orbit = Phaser.Math.FloatBetween(0, Math.PI * 2);
+          }
+        }
+      }
+      expirePowerup(type) {
+        if (type === "brain") this.endPower();
+        if (type === "ally") this.allies.clear(true, true);
+      }
+      // power-up effects that run every frame: shield ring, ally hunting, orb magnet, HUD timers
+      updatePowerups(dt) {
+        tickPowerups(this.buffs, dt).forEach((type) => this.expirePowerup(type));
+        const p = this.player, b = this.buffs;
+        this.shieldRing.setVisible(!!b.shield).setPosition(p.x, p.y).setStrokeStyle(3, 0x7ad7f0, b.shield?.charges > 1 ? 0.9 : 0.5);
+        if (b.ally) {
+          const targets = this.viruses.getChildren().filter((v) => v.active);
+          this.allies.children.iterate((a) => {
+            if (!a) return;
+            const t = this.physics.closest(a, targets);
+            if (t) this.physics.moveToObject(a, t, POWERUPS.ally.speed);
+            else this.physics.moveTo(a, p.x + Math.cos(this.levelMs / 500 + a.orbit) * 40, p.y + Math.sin(this.levelMs / 500 + a.orbit) * 40, POWERUPS.ally.speed);
+          });
+        }
+        if (b.magnet) {
+          const { radius, pull } = POWERUPS.magnet;
+          this.orbs.children.iterate((o) => {
+            if (o?.active && Phaser.Math.Distance.Between(o.x, o.y, p.x, p.y) < radius) this.physics.moveToObject(o, p, pull);
+          });
+        }
+        const line = describePowerups(b);
+        if (line !== this.buffText.text) this.buffText.setText(line).setVisible(!!line);
+      }
+      activatePower() {
+        const tint = hexColor(this.def.enemies.vulnerableTint);
+        G.powerMode=true; this.player.setTint(0x66ffcc);
+        this.viruses.children.iterate(v=>v && (v.vulnerable=true, v.setTint(tint)));
       }
       endPower() {
-        G.powerMode=false; G.powerTimer=0; this.player.clearTint();
+        G.powerMode=false; this.player.setTint(G.tint);
         this.viruses.children.iterate(v=>v && (v.vulnerable=false, v.clearTint()));
       }
+      /** Chomped by the player in power mode or caught by a white-cell ally. */
+      defeatEnemy(v) {
+        const key = v.texture.key;
+        defeatHook(v, this);
+        v.destroy(); sound.play("chomp"); G.score+=v.spec.score ?? this.def.scoring.enemy; G.syncHud(); this.track("defeat", { enemy: key });
+      }
       complete() {
         if (this._completed) return; this._completed=true;
         const { width, height } = this.scale;
+        const reward = this.def.reward;
         this.physics.pause();
-        this.add.rectangle(width/2,height/2,width,180,0x000000,0.65);
-        this.add.text(width/2,height/2 - 28,"Circulatory Stable!",{fontSize:"28px",color:"#00ffad",fontFamily:"Arial"}).setOrigin(0.5);
-        this.add.text(width/2,height/2 + 2,"+1 Star  •  Fact unlocked",{fontSize:"16px",color:"#fff"}).setOrigin(0.5);
-
-        addStars(1);
-        addFact("The heart pumps ~100,000 times per day.");
-        setSystem("heart", true);
-
-        const btn = this.add.text(width/2, height/2 + 48, "Claim Reward & Continue", {
+        this.add.rectangle(width/2,height/2,width,180,0x000000,0.65).setScrollFactor(0);
+        this.add.text(width/2,height/2 - 28,reward.title,{fontSize:"28px",color:"#00ffad",fontFamily:"Arial"}).setOrigin(0.5).setScrollFactor(0);
+        const factId = reward.facts.find((id) => !G.facts.includes(id));
+        // sorting levels: bonus stars for a clean filtration run
+        const accuracy = this.sorting?.total ? this.sorting.right / this.sorting.total : null;
+        const stars = reward.stars + (accuracy != null && accuracy >= (reward.accuracyBonus?.min ?? Infinity) ? reward.accuracyBonus.stars : 0);
+        const extras = [accuracy != null && `${Math.round(accuracy * 100)}% accurate`, factId && "Fact unlocked"].filter(Boolean);
+        this.add.text(width/2,height/2 + 2,[`+${stars} Star`, ...extras].join("  •  "),{fontSize:"16px",color:"#fff"}).setOrigin(0.5).setScrollFactor(0);
+
+        sound.play("complete");
+        addStars(stars);
+        if (factId) addFact(factId);
+        setSystem(reward.system, true);
+
+        const btn = this.add.text(width/2, height/2 + 48, reward.button, {
           fontSize:"18px", color:"#0a0012", backgroundColor:"#ffd700", padding:{x:12,y:6}, fontFamily:"Arial"
-        }).setOrigin(0.5).setInteractive({useHandCursor:true});
-        btn.on("pointerdown", () => this.scene.start("BodyMap"));
+        }).setOrigin(0.5).setScrollFactor(0).setInteractive({useHandCursor:true});
+        const next = () => {
+          sound.play("click");
+          if (this.def.quiz?.length) this.scene.start("Quiz", { level: this.def.key });
+          else this.scene.start(this.def.next);
+        };
+        btn.on("pointerdown", next);
+        this.controls.on("confirm", next);
+      }
+      loseLife() {
+        G.lives -= 1;
+        if (G.lives <= 0) { G.lives = 0; G.syncHud(); return this.fail("health"); }
+        G.health = 100; G.syncHud();
+        this.player.setPosition(...this.respawnAt).setVelocity(0, 0);
+        if (this.camFloor != null) this.camFloor = this.climbFloor();
+        this.lastHitAt = this.time.now + 1000; // brief grace period after respawning
+        this.tweens.add({ targets: this.player, alpha: 0.3, yoyo: true, repeat: 5, duration: 140 });
+        this.dialog(`Dr. Nova: Ouch! ${G.lives} ${G.lives === 1 ? "life" : "lives"} left — keep going!`);
+      }
+      fail(cause) {
+        if (this._completed) return; this._completed=true;
+        this.physics.pause();
+        this.scene.start("GameOver", { level: this.def.key, title: this.def.title, cause, hint: this.def.hints?.[cause] });
       }
       update(_, dt) {
         if (this._completed) return;
-        if (G.powerMode) { G.powerTimer -= dt; if (G.powerTimer<=0) this.endPower(); }
         if (!this.player?.body) return;
+        this.levelMs += dt;
+        this.updatePowerups(dt);
+        this.movers.children.iterate((p) => {
+          const m = p.spec, k = Math.sin((this.levelMs + dt) / m.periodMs * Math.PI * 2 + (m.phase ?? 0) * Math.PI * 2);
+          p.setVelocity((m.x + (m.dx ?? 0) * k - p.x) * 1000 / dt, (m.y + (m.dy ?? 0) * k - p.y) * 1000 / dt);
+        });
+        this.updateBoss(dt);
+        if (this.sorting) this.particles.getChildren().filter((pt) => pt.y > this.scale.height + 20).forEach((pt) => this.sortParticle(pt, null));
+        const p = this.player;
+        if (this.acid.some((a) => p.x > a.x && p.x < a.x + a.w && p.y + 10 > a.surface)) this.hurt(this.def.acid.damage);
+        if (this.flow) this.updateFlow(dt);
+        if (this.breath) this.updateBreathing();
         applyMoveAndJump(this);
-        this.viruses.children.iterate(v=>{
+        this.viruses.children.iterate(v => {
           if (!v?.active) return;
-          if (G.powerMode) {
-            const a = Phaser.Math.Angle.Between(this.player.x, this.player.y, v.x, v.y);
-            const s = 90; v.setVelocity(Math.cos(a)*s, Math.sin(a)*s);
-          } else {
-            this.physics.moveToObject(v, this.player, 70);
+          steerEnemy(v, this, dt);
+          if (v.drift) v.body.velocity.x += v.drift;
+        });
+        this.updateSignal(dt);
+        if (this.bones?.carrying) this.bones.icon.setPosition(p.x, p.y - 20);
+        if (this.camFloor != null) this.updateClimb();
+        if (this.toxicity) this.updateToxins(dt);
+        if (this._completed) return;
+        this.track("tick", { ms: dt });
+        if (this.objectives.isComplete()) this.complete();
+        else if (this.objectives.isFailed()) this.fail("npc");
+        else if (G.health<=0) this.loseLife();
+      }
+    }
+
+    // ------------- Codex (fact catalog by body system) -------------
+    // where a locked fact can be earned: a level reward or a quiz answer
+    const unlockHint = (id) => {
+      const lvl = LEVELS.find((l) => l.reward.facts.includes(id));
+      if (lvl) return `Clear the ${SYSTEMS[lvl.reward.system]?.name ?? lvl.title} level to unlock.`;
+      const quiz = LEVELS.find((l) => l.quiz?.some((q) => q.fact === id));
+      if (quiz) return `Ace the ${SYSTEMS[quiz.reward.system]?.name ?? quiz.title} quiz to unlock.`;
+      return "Keep exploring to unlock.";
+    };
+
+    class CodexScene extends Phaser.Scene {
+      constructor(){ super("Codex"); }
+      create() {
+        const { width, height } = this.scale;
+        this.cameras.main.setBackgroundColor("#0d1420");
+        // badges compare against what was seen before this visit, then everything unlocked counts as seen
+        this.fresh = G.newFacts;
+        G.codexSeen = [...new Set([...G.codexSeen, ...G.facts])]; G.persist();
+
+        this.add.text(24, 24, "Anatomy Codex", { fontFamily:"Arial", fontSize:"24px", color:"#ffffff" });
+        const total = Object.keys(SYSTEMS).reduce((n, k) => n + factsForSystem(k).length, 0);
+        this.add.text(width - 24, 30, `${G.facts.filter(getFact).length}/${total} facts unlocked`, { fontFamily:"Arial", fontSize:"14px", color:"#ffd700" }).setOrigin(1, 0);
+
+        // one tab per body system, squeezed to fit beside the 420px panel
+        this.systems = Object.keys(SYSTEMS);
+        const pitch = Math.min(64, 430 / this.systems.length), tabH = pitch - 10;
+        this.tabs = this.systems.map((key, i) => {
+          const sys = SYSTEMS[key], y = 90 + i*pitch;
+          const bg = this.add.rectangle(24, y, 220, tabH, 0xffffff, 0.06).setOrigin(0, 0).setStrokeStyle(1, 0xffffff, 0.15);
+          this.add.image(52, y + tabH/2, this.icon(sys)).setScale(Math.min(0.8, tabH / 60));
+          this.add.text(82, y + tabH/2, sys.name, { fontFamily:"Arial", fontSize:"15px", color:"#ffffff", wordWrap:{ width: 150 } }).setOrigin(0, 0.5);
+          if (factsForSystem(key).some((f) => this.fresh.includes(f.id))) this.badge(240, y + 4);
+          bg.setInteractive({ useHandCursor: true }).on("pointerdown", () => { sound.play("click"); this.show(i); });
+          return bg;
+        });
+
+        this.panel = null;
+        this.show(0);
+
+        const back = this.add.text(width/2, height - 36, "◀ Back to Body Map", {
+          fontSize:"18px", color:"#0a0012", backgroundColor:"#ffd700", padding:{x:12,y:6}, fontFamily:"Arial"
+        }).setOrigin(0.5).setInteractive({useHandCursor:true});
+        const leave = () => { sound.play("click"); this.scene.start("BodyMap"); };
+        back.on("pointerdown", leave);
+        createControls(this).on("confirm", leave).on("pause", leave);
+      }
+      icon(sys) { return this.textures.exists(sys.icon) ? sys.icon : "organGeneric"; }
+      badge(x, y) {
+        return this.add.text(x, y, "NEW", {
+          fontFamily:"Arial", fontSize:"11px", color:"#0a0012", backgroundColor:"#ff5c7a", padding:{x:4,y:1}
+        }).setOrigin(1, 0);
+      }
+      show(i) {
+        const key = this.systems[i], sys = SYSTEMS[key], entries = factsForSystem(key);
+        this.tabs.forEach((t, j) => t.setFillStyle(0xffffff, j === i ? 0.16 : 0.06));
+        if (this.panel) this.panel.destroy(true);
+        const c = this.panel = this.add.container(0, 0);
+        const x = 270, w = this.scale.width - x - 24;
+        const owned = entries.filter((f) => G.facts.includes(f.id));
+
+        c.add(this.add.rectangle(x, 90, w, 420, 0xffffff, 0.04).setOrigin(0, 0).setStrokeStyle(1, 0xffffff, 0.15));
+        const art = this.add.image(x + 34, 124, this.icon(sys)).setScale(1.1);
+        if (!owned.length) art.setTint(0x333333);
+        c.add([art,
+          this.add.text(x + 68, 124, sys.name, { fontFamily:"Arial", fontSize:"20px", color:"#ffffff" }).setOrigin(0, 0.5),
+          this.add.text(x + w - 14, 124, `${owned.length}/${entries.length}`, { fontFamily:"Arial", fontSize:"14px", color:"#ffd700" }).setOrigin(1, 0.5)]);
+
+        const detail = this.add.text(x + 16, 420, "Tap an unlocked fact for more.", {
+          fontFamily:"Arial", fontSize:"13px", color:"#bbbbbb", wordWrap:{ width: w - 32 }, lineSpacing: 2
+        });
+        c.add(detail);
+
+        entries.forEach((f, n) => {
+          const y = 160 + n*50, open = G.facts.includes(f.id);
+          const row = this.add.rectangle(x + 10, y, w - 20, 44, 0xffffff, open ? 0.06 : 0.02).setOrigin(0, 0);
+          const txt = this.add.text(x + 20, y + 22, open ? f.text : `🔒 ${unlockHint(f.id)}`, {
+            fontFamily:"Arial", fontSize:"14px", color: open ? "#ffffff" : "#777777", wordWrap:{ width: w - 80 }
+          }).setOrigin(0, 0.5);
+          c.add([row, txt]);
+          if (open && this.fresh.includes(f.id)) c.add(this.badge(x + w - 14, y + 4));
+          if (!open) return;
+          row.setInteractive({ useHandCursor: true }).on("pointerdown", () => {
+            sound.play("click");
+            const stars = "★".repeat(f.difficulty) + "☆".repeat(3 - f.difficulty);
+            detail.setColor("#ffd700").setText([f.extended ?? f.text, `Ages ${f.band}  •  ${stars}  •  Source: ${f.source}`].join("\n"));
+          });
+        });
+      }
+    }
+
+    // ------------- Review (spaced-repetition recall rounds, see src/review.js) -------------
+    // Each due fact drops in as a virus; answer before it lands to zap it.
+    const REVIEW_QUESTION_MS = 12000;
+
+    class ReviewScene extends Phaser.Scene {
+      constructor(){ super("Review"); }
+      create() {
+        const { width } = this.scale;
+        this.cameras.main.setBackgroundColor("#120a24");
+        sound.playMusic("map");
+        this.queue = dueFacts(G.reviewable, G.review).slice(0, ROUND_SIZE);
+        this.index = 0; this.correct = 0; this.streak = 0; this.best = 0; this.earned = 0;
+
+        this.add.text(24, 20, "Recall Rush", { fontFamily:"Arial", fontSize:"26px", color:"#ffffff" });
+        this.streakText = this.add.text(width - 24, 26, "", { fontFamily:"Arial", fontSize:"18px", color:"#ffd700" }).setOrigin(1, 0);
+        this.controls = createControls(this);
+        this.stage = null;
+
+        if (!this.queue.length) return this.summary();
+        this.dialog(`Dr. Nova: Zap each virus by answering before it lands. ${STREAK_FOR_STAR} in a row earns a ⭐!`);
+        this.ask();
+      }
+      clearStage() {
+        if (this.stage) this.stage.destroy(true);
+        this.controls.off("confirm");
+        this.stage = this.add.container(0, 0);
+        return this.stage;
+      }
+      ask() {
+        const fact = getFact(this.queue[this.index]);
+        const q = fact.recall;
+        const c = this.clearStage();
+        this.streakText.setText(`🔥 ${this.streak}   •   ${this.index + 1}/${this.queue.length}`);
+        c.add(this.add.text(340, 130, q.prompt, {
+          fontFamily:"Arial", fontSize:"22px", color:"#ffffff", wordWrap:{ width: 520 }, align:"center"
+        }).setOrigin(0.5));
+
+        const virus = this.add.sprite(700, 90, "virusRed").setScale(2.2);
+        c.add([this.add.rectangle(700, 255, 4, 330, 0xffffff, 0.08), this.add.rectangle(700, 424, 90, 6, 0xff5c7a, 0.6), virus]);
+        const drop = this.tweens.add({ targets: virus, y: 410, duration: REVIEW_QUESTION_MS, onComplete: () => resolve(-1) });
+
+        let done = false;
+        const buttons = q.choices.map((label, i) => {
+          const b = this.add.text(340, 240 + i*62, label, {
+            fontSize:"20px", color:"#0a0012", backgroundColor:"#ffd700", padding:{x:16,y:8},
+            fontFamily:"Arial", fixedWidth: 400, align:"center"
+          }).setOrigin(0.5).setInteractive({useHandCursor:true});
+          b.on("pointerdown", () => resolve(i));
+          c.add(b);
+          return b;
+        });
+        const resolve = (picked) => {
+          if (done) return; done = true;
+          drop.stop();
+          this.grade(fact, picked === q.answer, virus, buttons, picked);
+        };
+      }
+      grade(fact, ok, virus, buttons, picked) {
+        G.review[fact.id] = scheduleAnswer(G.review[fact.id], ok);
+        G.persist();
+        buttons[fact.recall.answer].setBackgroundColor("#00ffad");
+        if (ok) {
+          this.correct += 1; this.streak += 1; this.best = Math.max(this.best, this.streak);
+          sound.play("chomp");
+          this.tweens.add({ targets: virus, scale: 3.4, alpha: 0, duration: 260 });
+          if (this.streak % STREAK_FOR_STAR === 0) {
+            this.earned += 1; addStars(1); sound.play("power");
+            this.stage.add(this.add.text(340, 470, `🔥 ${this.streak} in a row! +1 ⭐`, { fontFamily:"Arial", fontSize:"20px", color:"#ffd700" }).setOrigin(0.5));
           }
+          this.time.delayedCall(900, () => this.next());
+          return;
+        }
+        this.streak = 0;
+        if (picked >= 0) buttons[picked].setBackgroundColor("#ff5c7a");
+        sound.play("hurt"); this.cameras.main.shake(160, 0.01);
+        this.stage.add(this.add.text(340, 470, `Dr. Nova: ${fact.text}`, {
+          fontFamily:"Arial", fontSize:"14px", color:"#ffffff", backgroundColor:"#00000088", padding:{x:8,y:6},
+          wordWrap:{ width: 600 }, align:"center"
+        }).setOrigin(0.5));
+        const btn = this.add.text(340, 540, "Next ▶", {
+          fontSize:"18px", color:"#0a0012", backgroundColor:"#00f5d4", padding:{x:12,y:6}, fontFamily:"Arial"
+        }).setOrigin(0.5).setInteractive({useHandCursor:true});
+        this.stage.add(btn);
+        const go = () => { sound.play("click"); this.next(); };
+        btn.on("pointerdown", go);
+        this.controls.on("confirm", go);
+      }
+      next() {
+        this.index += 1;
+        if (this.index < this.queue.length) this.ask();
+        else this.summary();
+      }
+      summary() {
+        const { width } = this.scale;
+        const c = this.clearStage();
+        this.streakText.setText("");
+        const nextAt = nextDueAt(G.reviewable, G.review);
+        const more = dueFacts(G.reviewable, G.review).length > 0;
+        const lines = !this.queue.length
+          ? [G.reviewable.length ? "All caught up!" : "Nothing to review yet.",
+             G.reviewable.length ? `Next review ${describeWait(nextAt - Date.now())}.` : "Learn facts in levels and quizzes first."]
+          : [`You recalled ${this.correct} of ${this.queue.length}`,
+             `Best streak 🔥 ${this.best}   •   +${this.earned} ⭐`,
+             more ? "More facts are ready to review." : `Next review ${describeWait(nextAt - Date.now())}.`];
+        lines.forEach((t, i) => c.add(this.add.text(width/2, 180 + i*44, t, {
+          fontFamily:"Arial", fontSize: i === 0 ? "28px" : "18px", color: i === 0 ? "#ffffff" : "#ffd700"
+        }).setOrigin(0.5)));
+        if (this.queue.length) sound.play("complete");
+
+        const back = this.add.text(width/2 + (more ? 110 : 0), 400, "Back to Body Map", {
+          fontSize:"18px", color:"#0a0012", backgroundColor:"#ffd700", padding:{x:12,y:6}, fontFamily:"Arial"
+        }).setOrigin(0.5).setInteractive({useHandCursor:true});
+        const leave = () => { sound.play("click"); this.scene.start("BodyMap"); };
+        back.on("pointerdown", leave);
+        this.controls.on("confirm", leave);
+        c.add(back);
+        if (more) {
+          const again = this.add.text(width/2 - 110, 400, "Another round", {
+            fontSize:"18px", color:"#0a0012", backgroundColor:"#00f5d4", padding:{x:12,y:6}, fontFamily:"Arial"
+          }).setOrigin(0.5).setInteractive({useHandCursor:true});
+          again.on("pointerdown", () => { sound.play("click"); this.scene.restart(); });
+          c.add(again);
+        }
+      }
+      dialog(text) {
+        const { width } = this.scale;
+        const box = this.add.rectangle(width/2, 560, 700, 44, 0x000000, 0.5).setStrokeStyle(1,0xffffff,0.2);
+        const msg = this.add.text(width/2, 560, text, { fontSize:"14px", color:"#ffffff", fontFamily:"Arial", wordWrap:{width:660} }).setOrigin(0.5);
+        this.time.delayedCall(3500, () => { box.destroy(); msg.destroy(); });
+      }
+    }
+
+    // ------------- Quiz (post-level check on the organ's facts) -------------
+    // A bonus ⭐ is paid the first time each question is answered correctly,
+    // so replaying a level can't farm stars.
+    class QuizScene extends Phaser.Scene {
+      constructor(){ super("Quiz"); }
+      create(data) {
+        const { width } = this.scale;
+        // Phaser reuses this instance, so every run starts from a clean slate
+        this.index = 0; this.correct = 0; this.bonus = 0;
+        this.stage = null;
+        this.def = LEVELS.find((l) => l.key === data.level);
+        this.questions = Phaser.Utils.Array.Shuffle([...this.def.quiz]).slice(0, 4);
+        this.cameras.main.setBackgroundColor("#101a2c");
+
+        this.add.text(width/2, 48, "Quick Check", { fontSize:"30px", color:"#ffffff", fontFamily:"Arial" }).setOrigin(0.5);
+        this.progressText = this.add.text(width/2, 84, "", { fontSize:"14px", color:"#ffd700", fontFamily:"Arial" }).setOrigin(0.5);
+        this.controls = createControls(this);
+        this.showQuestion();
+      }
+      clearStage() {
+        if (this.stage) this.stage.destroy(true);
+        this.controls.off("confirm");
+        this.stage = this.add.container(0, 0);
+        return this.stage;
+      }
+      showQuestion() {
+        const { width } = this.scale;
+        const q = this.questions[this.index];
+        const c = this.clearStage();
+        this.progressText.setText(`Question ${this.index + 1} of ${this.questions.length}`);
+        c.add(this.add.text(width/2, 150, q.prompt, {
+          fontSize:"22px", color:"#ffffff", fontFamily:"Arial", wordWrap:{ width: 640 }, align:"center"
+        }).setOrigin(0.5));
+
+        const choices = q.type === "tf" ? ["True", "False"] : q.choices;
+        const answerIndex = q.type === "tf" ? (q.answer ? 0 : 1) : q.answer;
+        let answered = false;
+        const buttons = choices.map((label, i) => {
+          const b = this.add.text(width/2, 240 + i*62, label, {
+            fontSize:"20px", color:"#0a0012", backgroundColor:"#ffd700", padding:{x:16,y:8},
+            fontFamily:"Arial", fixedWidth: 360, align:"center"
+          }).setOrigin(0.5).setInteractive({useHandCursor:true});
+          b.on("pointerdown", () => {
+            if (answered) return;
+            answered = true;
+            this.answer(q, i === answerIndex, buttons, answerIndex, i);
+          });
+          c.add(b);
+          return b;
+        });
+      }
+      answer(q, ok, buttons, answerIndex, picked) {
+        const { width } = this.scale;
+        buttons[answerIndex].setBackgroundColor("#00ffad");
+        if (!ok) buttons[picked].setBackgroundColor("#ff5c7a");
+        const first = G.recordAnswer(q.id, ok);
+        if (ok) {
+          this.correct += 1;
+          sound.play("pickup");
+          if (first) { this.bonus += 1; addStars(1); }
+          const unlocks = q.fact && !G.facts.includes(q.fact);
+          if (unlocks) addFact(q.fact);
+          const msg = ["Correct!", first && "+1 ⭐", unlocks && "Fact unlocked"].filter(Boolean).join("  •  ");
+          this.stage.add(this.add.text(width/2, 440, msg, { fontSize:"20px", color:"#00ffad", fontFamily:"Arial" }).setOrigin(0.5));
+          this.time.delayedCall(900, () => this.advance());
+          return;
+        }
+        sound.play("hurt");
+        const box = this.add.rectangle(width/2, 470, 700, 70, 0x000000, 0.5).setStrokeStyle(1,0xffffff,0.2);
+        const msg = this.add.text(width/2, 470, `Dr. Nova: ${q.explain}`, {
+          fontSize:"14px", color:"#ffffff", fontFamily:"Arial", wordWrap:{width:660}, align:"center"
+        }).setOrigin(0.5);
+        const next = this.add.text(width/2, 540, "Next ▶", {
+          fontSize:"18px", color:"#0a0012", backgroundColor:"#00f5d4", padding:{x:12,y:6}, fontFamily:"Arial"
+        }).setOrigin(0.5).setInteractive({useHandCursor:true});
+        this.stage.add([box, msg, next]);
+        const go = () => { sound.play("click"); this.advance(); };
+        next.on("pointerdown", go);
+        this.controls.on("confirm", go);
+      }
+      advance() {
+        this.index += 1;
+        if (this.index < this.questions.length) return this.showQuestion();
+        const { width } = this.scale;
+        const c = this.clearStage();
+        this.progressText.setText("");
+        sound.play("complete");
+        c.add(this.add.text(width/2, 200, `You got ${this.correct} of ${this.questions.length} right!`, {
+          fontSize:"26px", color:"#ffffff", fontFamily:"Arial"
+        }).setOrigin(0.5));
+        c.add(this.add.text(width/2, 244, this.bonus ? `+${this.bonus} bonus ⭐` : "No new bonus stars this time — keep practising!", {
+          fontSize:"18px", color:"#ffd700", fontFamily:"Arial"
+        }).setOrigin(0.5));
+        const btn = this.add.text(width/2, 330, "Continue", {
+          fontSize:"20px", color:"#0a0012", backgroundColor:"#ffd700", padding:{x:14,y:8}, fontFamily:"Arial"
+        }).setOrigin(0.5).setInteractive({useHandCursor:true});
+        c.add(btn);
+        const go = () => { sound.play("click"); this.scene.start(this.def.next); };
+        btn.on("pointerdown", go);
+        this.controls.on("confirm", go);
+      }
+    }
+
+    // ------------- Pause overlay (launched over a paused level) -------------
+    class PauseScene extends Phaser.Scene {
+      constructor(){ super("Pause"); }
+      create(data) {
+        const { width, height } = this.scale;
+        const level = data.level;
+        this.scene.bringToTop();
+        G.syncHud();
+
+        this.add.rectangle(width/2, height/2, width, height, 0x000000, 0.6);
+        this.add.text(width/2, 130, "Paused", { fontSize:"40px", color:"#ffffff", fontFamily:"Arial" }).setOrigin(0.5);
+
+        const resume = () => { sound.play("click"); this.scene.resume(level); this.scene.stop(); };
+        const items = [
+          ["▶ Resume", resume],
+          ["↻ Restart Level", () => { sound.play("click"); this.scene.start(level); }],
+          ["⚙ Settings", () => { sound.play("click"); this.scene.start("Settings", { from: "Pause", fromData: { level } }); }],
+          ["🗺 Return to Body Map", () => { sound.play("click"); this.scene.stop(level); this.scene.start("BodyMap"); }],
+        ];
+        items.forEach(([label, onClick], i) => {
+          const b = this.add.text(width/2, 210 + i*62, label, {
+            fontSize:"20px", color:"#0a0012", backgroundColor: i === 0 ? "#00f5d4" : "#ffd700",
+            padding:{x:16,y:8}, fontFamily:"Arial", fixedWidth: 260, align:"center"
+          }).setOrigin(0.5).setInteractive({useHandCursor:true});
+          b.on("pointerdown", onClick);
         });
-        if (G.energy>=10 && (this._brain || this._virus)) this.complete();
-        if (G.health<=0) this.scene.restart();
+
+        createControls(this).on("pause", resume).on("confirm", resume);
+      }
+    }
+
+    // ------------- Game Over (cause + hint + retry) -------------
+    const FAIL_CAUSES = {
+      health: {
+        text: "Pathogens wore your health down to zero.",
+        hint: "Dr. Nova: Grab a 🧠 first — while powered up, 🦠 run from you and you can chomp them!"
+      },
+      npc: {
+        text: "The cell you were protecting was destroyed.",
+        hint: "Dr. Nova: Stay close to the cell and chomp 🦠 before they reach it."
+      },
+      toxicity: {
+        text: "Toxins built up faster than the liver could clear them.",
+        hint: "Dr. Nova: Keep an 🧪 enzyme in hand and neutralise ☣ toxins as soon as they appear."
+      }
+    };
+
+    class GameOverScene extends Phaser.Scene {
+      constructor(){ super("GameOver"); }
+      create(data) {
+        const { width, height } = this.scale;
+        const cause = FAIL_CAUSES[data.cause] ?? FAIL_CAUSES.health;
+        this.cameras.main.setBackgroundColor("#14060c");
+        sound.stopMusic(); sound.play("fail");
+        G.syncHud();
+
+        this.add.text(width/2, 110, "Mission Failed", { fontSize:"40px", color:"#ff5c7a", fontFamily:"Arial" }).setOrigin(0.5);
+        this.add.text(width/2, 155, data.title, { fontSize:"18px", color:"#ffffff", fontFamily:"Arial" }).setOrigin(0.5);
+        this.add.text(width/2, 200, cause.text, { fontSize:"16px", color:"#ffd700", fontFamily:"Arial" }).setOrigin(0.5);
+        this.add.text(width/2, 235, `🏆 Score so far: ${G.score}`, { fontSize:"16px", color:"#ffffff", fontFamily:"Arial" }).setOrigin(0.5);
+
+        const virus = this.add.sprite(width/2, 300, "virusRed").setScale(2.6);
+        this.tweens.add({ targets: virus, angle: 20, yoyo: true, repeat: -1, duration: 500 });
+
+        this.add.rectangle(width/2, 380, 700, 60, 0x000000, 0.5).setStrokeStyle(1,0xffffff,0.2);
+        this.add.text(width/2, 380, data.hint ?? cause.hint, { fontSize:"14px", color:"#ffffff", fontFamily:"Arial", wordWrap:{width:660}, align:"center" }).setOrigin(0.5);
+
+        const retry = this.add.text(width/2 - 110, height-120, "↻ Retry", {
+          fontSize:"20px", color:"#0a0012", backgroundColor:"#ffd700", padding:{x:14,y:8}, fontFamily:"Arial"
+        }).setOrigin(0.5).setInteractive({useHandCursor:true});
+        const back = this.add.text(width/2 + 110, height-120, "Back to Body Map", {
+          fontSize:"20px", color:"#0a0012", backgroundColor:"#00f5d4", padding:{x:14,y:8}, fontFamily:"Arial"
+        }).setOrigin(0.5).setInteractive({useHandCursor:true});
+
+        const again = () => { sound.play("click"); this.scene.start(data.level); };
+        retry.on("pointerdown", again);
+        createControls(this).on("confirm", again);
+        back.on("pointerdown", () => { sound.play("click"); this.scene.start("BodyMap"); });
       }
     }
 
@@ -468,6 +2072,7 @@ export default function MicroMedicsGame() {
         const W = this.scale.width;
         const H = this.scale.height;
         this.cameras.main.setBackgroundColor("#0d1420");
+        sound.playMusic("map");
         G.syncHud();
 
         // Layout
@@ -509,73 +2114,70 @@ export default function MicroMedicsGame() {
         line(`Systems Repaired: ${repaired}`, 48);
         line(`Facts Learned: ${factsCount}`, 72);
         line(`Playtime: ${mmss(G.playtimeSec)}`, 96);
+        line(`Quiz Accuracy: ${G.quizAccuracy ?? "—"}${G.quizAccuracy == null ? "" : "%"}`, 120);
 
-        this.add.text(x0, y0 + 130, "Recent Facts:", {
+        this.add.text(x0, y0 + 154, "Recent Facts:", {
           fontFamily: "Arial", fontSize: 14, color: "#ffd700"
         });
 
         const factsToShow = G.facts.slice(-3);
         if (factsToShow.length === 0) {
-          line("— (complete a level to unlock)", 154);
+          line("— (complete a level to unlock)", 178);
         } else {
-          factsToShow.forEach((f, i) => {
-            this.add.text(x0 + 10, y0 + 154 + i*20, `• ${f}`, {
+          factsToShow.forEach((id, i) => {
+            this.add.text(x0 + 10, y0 + 178 + i*20, `• ${getFact(id)?.text ?? id}`, {
               fontFamily: "Arial", fontSize: 13, color: "#ffffff",
               wordWrap: { width: LEFT_W - 40 }
             });
           });
         }
 
-        // Map nodes
-        const nodeY = MAP_Y + MAP_H/2 - 20;
-        const heartX = MAP_X + MAP_W * 0.28;
-        const lungsX = MAP_X + MAP_W * 0.72;
-
-        const heartBtn = this.button(
-          heartX, nodeY - 60, 180, 56,
-          G.systems.heart ? "❤️ Heart\nRepaired" : "❤️ Heart\nRepair (⭐1)",
-          () => {
-            if (G.systems.heart) return;
-            if (G.stars < 1) return this.toast("Earn a ⭐ by completing a level first.");
-            addStars(-1);
-            setSystem("heart", true);
-            this.toast("Heart valve repaired! Lungs unlocked.");
-            redraw();
-          },
-          !G.systems.heart && G.stars >= 1
-        );
+        // Map nodes: one per level descriptor, two per row (see `map` in src/levels)
+        const colX = [MAP_X + MAP_W * 0.25, MAP_X + MAP_W * 0.75];
+        const nodeAt = (i) => ({ x: colX[i % 2], y: MAP_Y + 76 + Math.floor(i / 2) * 58 });
+        const bySystem = Object.fromEntries(LEVELS.map((def, i) => [def.reward.system, nodeAt(i)]));
+        const requirements = (def) => [].concat(def.map.requires ?? []);
+        LEVELS.forEach((def, i) => requirements(def).forEach((k) => {
+          const from = bySystem[k], to = nodeAt(i);
+          if (from) this.add.line(0, 0, from.x, from.y, to.x, to.y, 0xffffff, 0.12).setOrigin(0, 0).setLineWidth(2, 2);
+        }));
+
+        const nodeState = (def) => {
+          const { cost = 0 } = def.map;
+          if (!requirements(def).every((k) => G.systems[k])) return "locked";
+          if (cost && !G.unlocked.includes(def.key)) return "buy";
+          return G.systems[def.reward.system] ? "repaired" : "open";
+        };
+        LEVELS.forEach((def, i) => {
+          const { x, y } = nodeAt(i), state = nodeState(def), cost = def.map.cost;
+          const status = { locked: "Locked", buy: `Unlock (⭐${cost})`, open: "Play", repaired: "Repaired · Replay" }[state];
+          this.button(x, y, 170, 48, `${def.map.label}\n${status}`, () => {
+            if (state !== "buy") { G.level = def.level; return this.scene.start(def.key); }
+            addStars(-cost);
+            G.unlocked.push(def.key); G.persist();
+            this.toast(`${SYSTEMS[def.reward.system]?.name ?? def.title} unlocked!`);
+            this.time.delayedCall(600, () => this.scene.restart());
+          }, state === "open" || state === "repaired" || (state === "buy" && G.stars >= cost));
+        });
 
-        const lungsBtn = this.button(
-          lungsX, nodeY - 60, 160, 56,
-          G.systems.heart ? "🫁 Lungs\nPlay" : "🫁 Lungs\nLocked",
-          () => {
-            if (!G.systems.heart) return this.toast("Repair the Heart first (⭐1).");
-            G.level = 2;
-            this.scene.start("LungsLevel");
-          },
-          G.systems.heart
+        const newCount = G.newFacts.length;
+        const toolsY = MAP_Y + MAP_H - 122;
+        this.button(
+          colX[0], toolsY, 170, 44,
+          newCount ? `📖 Codex (${newCount} new)` : "📖 Codex",
+          () => this.scene.start("Codex"),
+          true
         );
-
-        const replayBtn = this.button(
-          heartX, nodeY + 40, 200, 48,
-          "🫀 Circulatory (Replay)",
-          () => { G.level = 1; this.scene.start("CirculatoryLevel"); },
+        const dueCount = dueFacts(G.reviewable, G.review).length;
+        this.button(
+          colX[1], toolsY, 170, 44,
+          dueCount ? `🧠 Review (${dueCount} due)` : "🧠 Review",
+          () => this.scene.start("Review"),
           true
         );
 
-        // connecting line
-        const midY = nodeY - 32;
-        this.add.line(0, 0, heartX, midY, lungsX, midY, 0xffffff, 0.12).setLineWidth(2,2);
-
         // tip
-        this.dialog(`Dr. Nova: Spend a ⭐ to repair the heart, then explore the lungs for a new challenge.`);
-
-        const redraw = () => {
-          heartBtn.updateLabel(G.systems.heart ? "❤️ Heart\nRepaired" : "❤️ Heart\nRepair (⭐1)");
-          heartBtn.setEnabled(!G.systems.heart && G.stars >= 1);
-          lungsBtn.updateLabel(G.systems.heart ? "🫁 Lungs\nPlay" : "🫁 Lungs\nLocked");
-          lungsBtn.setEnabled(!!G.systems.heart);
-        };
+        this.dialog("Dr. Nova: Clear a system to open the next one — some need ⭐ to unlock.");
       }
 
       // helpers
@@ -597,7 +2199,7 @@ export default function MicroMedicsGame() {
         if (enabled) {
           bg.on("pointerover", () => bg.setAlpha(0.9));
           bg.on("pointerout",  () => bg.setAlpha(1));
-          bg.on("pointerdown", onClick);
+          bg.on("pointerdown", () => { sound.play("click"); onClick(); });
         }
 
         return {
@@ -610,7 +2212,7 @@ export default function MicroMedicsGame() {
             if (e) {
               bg.on("pointerover", () => bg.setAlpha(0.9));
               bg.on("pointerout",  () => bg.setAlpha(1));
-              bg.on("pointerdown", onClick);
+              bg.on("pointerdown", () => { sound.play("click"); onClick(); });
             }
           }
         };
@@ -635,123 +2237,6 @@ export default function MicroMedicsGame() {
       }
     }
 
-    // ------------- Level 2: Lungs -------------
-    class LungsLevel extends Phaser.Scene {
-      constructor(){ super("LungsLevel"); this._completed=false; this.lastHitAt=0; this.HIT_COOLDOWN_MS=650; }
-      create() {
-        G.resetStatsForLevel(); G.syncHud();
-        this._completed=false; this.lastHitAt=0;
-
-        const { width, height } = this.scale;
-        this.cameras.main.setBackgroundColor("#0b1a1d");
-        for (let i=0;i<7;i++){ const b=this.add.rectangle(width/2, i*90+45, width, 50, 0x2a6f73, 0.18); this.tweens.add({targets:b, alpha:{from:0.12,to:0.25}, yoyo:true, repeat:-1, duration:1600, delay:i*120}); }
-
-        const ctx = levelPhysicsCommon(this);
-        this.platforms.create(ctx.width/2, ctx.height-16, "softPlatform").setScale(25,1).refreshBody();
-        this.platforms.create(220, ctx.height-140, "softPlatform").setScale(5,1).refreshBody();
-        this.platforms.create(ctx.width-240, ctx.height-240, "softPlatform").setScale(5,1).refreshBody();
-        this.platforms.create(ctx.width/2, ctx.height-320, "softPlatform").setScale(7,1).refreshBody();
-
-        enablePlayer(this, ctx.width/2, ctx.height-80);
-        enableCursors(this);
-        this.physics.world.gravity.y = 340; // floatier
-
-        // UI
-        this.add.text(ctx.width/2, 40, "Respiratory System — Lungs", { fontSize:"20px", color:"#fff", fontFamily:"Arial" }).setOrigin(0.5);
-        this.add.text(ctx.width/2, 70, "Collect ⚡ to 12, grab 🧠 OR inhale (eat) 🦠", { fontSize:"14px", color:"#ffd700" }).setOrigin(0.5);
-        this.objectiveText = this.add.text(ctx.width/2, 16, "", { fontSize:"14px", color:"#ffd700" }).setOrigin(0.5);
-
-        // collectibles
-        const maxE = 12;
-        this.orbs = this.physics.add.group();
-        for (let i=0;i<14;i++){
-          const x = Phaser.Math.Between(60, ctx.width-60);
-          const y = Phaser.Math.Between(120, ctx.height-220);
-          const o = this.orbs.create(x,y,"energyOrb"); o.setBounce(0.2).setCollideWorldBounds(true);
-        }
-
-        this.powerups = this.physics.add.group();
-        const pu=this.powerups.create(ctx.width-120, 120, "brainPower"); this.tweens.add({targets:pu, angle:360, repeat:-1, duration:2800});
-
-        // viruses
-        this.viruses = this.physics.add.group();
-        for (let i=0;i<3;i++){
-          const v=this.viruses.create(Phaser.Math.Between(80, ctx.width-80), Phaser.Math.Between(80, 200), "virusGreen");
-          v.setCollideWorldBounds(true).setBounce(1).setMaxVelocity(140,140);
-          v.vulnerable=false; v.setVelocity(Phaser.Math.Between(-40,40), Phaser.Math.Between(20,60));
-        }
-
-        this.physics.add.collider(this.player, this.platforms);
-        this.physics.add.collider(this.orbs, this.platforms);
-        this.physics.add.collider(this.powerups, this.platforms);
-        this.physics.add.collider(this.viruses, this.platforms);
-
-        this._brain=false; this._virus=false;
-        const updateObjective = () => {
-          this.objectiveText.setText(`Objectives → Energy ${G.energy}/${maxE} • Brain ${this._brain?1:0}/1 • Virus ${this._virus?1:0}/1`);
-        };
-        updateObjective();
-
-        this.physics.add.overlap(this.player, this.orbs, (_,orb)=>{ orb.destroy(); if (G.energy<maxE) G.energy+=1; G.score+=10; G.syncHud(); updateObjective(); });
-        this.physics.add.overlap(this.player, this.powerups, (_,p)=>{ p.destroy(); this.activatePower(6000); this._brain=true; G.score+=120; G.syncHud(); updateObjective(); });
-        this.physics.add.overlap(this.player, this.viruses, (_,v)=>{
-          if (!v.active) return;
-          if (G.powerMode && v.vulnerable) { v.destroy(); this._virus=true; G.score+=220; G.syncHud(); updateObjective(); }
-          else {
-            if (this.time.now - this.lastHitAt < this.HIT_COOLDOWN_MS) return;
-            this.lastHitAt = this.time.now;
-            G.health -= 10; if (G.health<0) G.health=0; this.cameras.main.shake(160,0.01); G.syncHud();
-          }
-        });
-
-        this.dialog(`Dr. Nova: Air brings oxygen into the lungs. Clear pathogens and power up learning!`);
-      }
-      dialog(text) {
-        const { width } = this.scale;
-        const box = this.add.rectangle(width/2, 520, 720, 60, 0x000, 0.5).setStrokeStyle(1,0xffffff,0.2);
-        const msg = this.add.text(width/2, 520, text, { fontSize:"14px", color:"#fff", fontFamily:"Arial", wordWrap:{width:680} }).setOrigin(0.5);
-        this.time.delayedCall(3500, ()=>{ box.destroy(); msg.destroy(); });
-      }
-      activatePower(ms){ G.powerMode=true; G.powerTimer=ms; this.player.setTint(0x66ffcc); this.viruses.children.iterate(v=>v && (v.vulnerable=true, v.setTint(0x2ecc71))); }
-      endPower(){ G.powerMode=false; G.powerTimer=0; this.player.clearTint(); this.viruses.children.iterate(v=>v && (v.vulnerable=false, v.clearTint())); }
-      complete(){
-        if (this._completed) return; this._completed=true;
-        const { width, height } = this.scale;
-        this.physics.pause();
-        this.add.rectangle(width/2,height/2,width,180,0x000000,0.65);
-        this.add.text(width/2,height/2 - 28,"Respiratory Stable!",{fontSize:"28px",color:"#00ffad"}).setOrigin(0.5);
-        this.add.text(width/2,height/2 + 2,"+1 Star  •  Fact unlocked",{fontSize:"16px",color:"#fff"}).setOrigin(0.5);
-
-        addStars(1);
-        addFact("Alveoli are tiny sacs where oxygen enters the blood.");
-        setSystem("lungs", true);
-
-        const btn = this.add.text(width/2, height/2 + 48, "Back to Body Map", {
-          fontSize:"18px", color:"#0a0012", backgroundColor:"#ffd700", padding:{x:12,y:6}
-        }).setOrigin(0.5).setInteractive({useHandCursor:true});
-        btn.on("pointerdown", ()=> this.scene.start("BodyMap"));
-      }
-      update(_, dt) {
-        if (this._completed) return;
-        if (G.powerMode) { G.powerTimer -= dt; if (G.powerTimer<=0) this.endPower(); }
-        if (!this.player?.body) return;
-        applyMoveAndJump(this);
-        this.viruses.children.iterate(v=>{
-          if (!v?.active) return;
-          if (G.powerMode) {
-            const a=Phaser.Math.Angle.Between(this.player.x,this.player.y,v.x,v.y); const s=100;
-            v.setVelocity(Math.cos(a)*s, Math.sin(a)*s);
-          } else {
-            const a=Phaser.Math.Angle.Between(v.x,v.y,this.player.x,this.player.y);
-            v.body.velocity.x += Math.cos(a)*10;
-            v.body.velocity.y += Math.sin(a)*10;
-          }
-        });
-        if (G.health<=0) this.scene.restart();
-        if (G.energy>=12 && (this._brain || this._virus)) this.complete();
-      }
-    }
-
     // ------------- Phaser config -------------
     const config = {
       type: Phaser.AUTO,
@@ -760,7 +2245,8 @@ export default function MicroMedicsGame() {
       parent: gameParentRef.current,
       backgroundColor: "#0c0c0c",
       physics: { default: "arcade", arcade: { gravity: { y: 400 }, debug: false } },
-      scene: [BootScene, TitleScene, CinematicScene, CirculatoryLevel, BodyMapScene, LungsLevel],
+      input: { activePointers: 3, gamepad: true }, // multitouch: move + jump at the same time
+      scene: [BootScene, ProfilesScene, TitleScene, SettingsScene, CinematicScene, BodyMapScene, CodexScene, ReviewScene, QuizScene, PauseScene, GameOverScene, ...LEVELS.map((def) => new LevelScene(def))],
       scale: { mode: Phaser.Scale.FIT, autoCenter: Phaser.Scale.CENTER_BOTH },
       render: { antialias: false },
     };
@@ -770,15 +2256,38 @@ export default function MicroMedicsGame() {
     // playtime ticker for live KPI
     const t = setInterval(() => setPlaytimeRef.current(G.playtimeSec), 1000);
 
+    // audio may only start after a gesture; M toggles mute anywhere but in a form field
+    const unlockAudio = () => sound.unlock();
+    const onKey = (e) => {
+      if (e.repeat || isFormField(e.target)) return;
+      if (e.key === "m" || e.key === "M") setAudio(sound.toggleMute());
+    };
+    window.addEventListener("pointerdown", unlockAudio);
+    window.addEventListener("keydown", unlockAudio);
+    window.addEventListener("keydown", onKey);
+
     return () => {
       clearInterval(t);
+      progressApiRef.current = null;
+      window.removeEventListener("pointerdown", unlockAudio);
+      window.removeEventListener("keydown", unlockAudio);
+      window.removeEventListener("keydown", onKey);
+      sound.destroy();
       if (gameRef.current) { gameRef.current.destroy(true); gameRef.current = null; }
     };
-  }, []);
+  }, [sound]);
+
+  const setVolume = (patch) => setAudio(sound.setSettings(patch));
 
   // ---------- React shell HUD ----------
+  // Phaser listens for (and captures) its keys on window: stop them there while a form field such as
+  // the save-code box has focus, so typing works and doesn't pause or steer the game
+  const keepKeysInForms = (e) => { if (isFormField(e.target)) e.stopPropagation(); };
+
   return (
     <div
+      onKeyDown={keepKeysInForms}
+      onKeyUp={keepKeysInForms}
       style={{
         minHeight: "100vh",
         background: "linear-gradient(135deg, #0f0b1a 0%, #0b1a16 100%)",
@@ -793,19 +2302,24 @@ export default function MicroMedicsGame() {
         <h1 style={{ fontSize:28, fontWeight:900, margin:0 }}>MicroMedics — Scene 1 & 2</h1>
         <div style={{ opacity:0.75, marginTop:4 }}>Arcade core + Homescapes-style meta (React + Phaser)</div>
         <div style={{ display:"flex", gap:8, marginTop:12, flexWrap:"wrap" }}>
+          <Badge>
+            <span style={{ display:"inline-block", width:10, height:10, borderRadius:5, marginRight:6, background: profile ? `#${profile.color.toString(16).padStart(6,"0")}` : "#666" }} />
+            Player: <b>{profile ? profile.name : "—"}</b>
+          </Badge>
           <Badge>⭐ Stars: <b>{stars}</b></Badge>
           <Badge>🏆 Score: <b>{hud.score}</b></Badge>
           <Badge>❤️ Health: <b>{hud.health}</b></Badge>
+          <Badge>💖 Lives: <b>{hud.lives}</b></Badge>
           <Badge>⚡ Energy: <b>{hud.energy}</b></Badge>
           <Badge>🧠 Level: <b>{hud.level}</b></Badge>
           <Badge>⏱️ Time on task: <b>{mmss(playtime)}</b></Badge>
-          <Badge>🔧 Systems repaired: <b>{(systems.heart?1:0)+(systems.lungs?1:0)}</b></Badge>
+          <Badge>🔧 Systems repaired: <b>{Object.values(systems).filter(Boolean).length}</b></Badge>
           <Badge>📚 Facts learned: <b>{facts.length}</b></Badge>
         </div>
       </div>
 
       <div style={{ width:"100%", maxWidth:1000, aspectRatio:"4/3", borderRadius:16, overflow:"hidden", border:"1px solid rgba(255,255,255,0.15)", boxShadow:"0 10px 30px rgba(0,0,0,0.35)", marginTop:12 }}>
-        <div ref={gameParentRef} style={{ width:"100%", height:"100%" }} />
+        <div ref={gameParentRef} style={{ width:"100%", height:"100%", touchAction:"none" }} />
       </div>
 
       <div style={{ width:"100%", maxWidth:1200, display:"grid", gridTemplateColumns:"1fr 2fr", gap:16, marginTop:16 }}>
@@ -814,18 +2328,34 @@ export default function MicroMedicsGame() {
             <p style={{ opacity:0.7, fontSize:14, margin:0 }}>Complete a level to unlock facts.</p>
           ) : (
             <ul style={{ margin:0, paddingLeft:18 }}>
-              {facts.slice(-5).map((f,i)=> <li key={i} style={{ fontSize:14, margin:"4px 0" }}>{f}</li>)}
+              {facts.slice(-5).map((id)=> <li key={id} style={{ fontSize:14, margin:"4px 0" }}>{getFact(id)?.text ?? id}</li>)}
             </ul>
           )}
         </Card>
         <Card title="What investors see (live KPIs)">
           <ul style={{ margin:0, paddingLeft:18 }}>
-            <li style={{ margin:"4px 0" }}>Conversion hook: ⭐ earned → <b>Repair Heart</b> → <b>Unlock Lungs</b>.</li>
+            <li style={{ margin:"4px 0" }}>Conversion hook: ⭐ earned → <b>Unlock new systems</b> (Lungs → Brain …) on the Body Map.</li>
             <li style={{ margin:"4px 0" }}>Engagement: <b>Dr. Nova</b> dialog + new biome & mechanics each system.</li>
             <li style={{ margin:"4px 0" }}>Learning: <b>Facts learned</b> & <b>Systems repaired</b> persist across sessions.</li>
             <li style={{ margin:"4px 0" }}>Time on task (⏱️) updates in real time for demos.</li>
           </ul>
         </Card>
+        <Card title="Save Transfer">
+          <ProgressTransfer apiRef={progressApiRef} />
+        </Card>
+        <Card title="Sound">
+          <label style={{ display:"flex", alignItems:"center", gap:8, fontSize:14, marginBottom:8 }}>
+            <input type="checkbox" checked={audio.muted} onChange={(e)=>setVolume({ muted: e.target.checked })} />
+            Mute (M)
+          </label>
+          {[["master","Master"],["music","Music"],["sfx","Effects"]].map(([k,label]) => (
+            <label key={k} style={{ display:"flex", alignItems:"center", gap:8, fontSize:14, margin:"4px 0" }}>
+              <span style={{ width:64 }}>{label}</span>
+              <input type="range" min={0} max={1} step={0.05} value={audio[k]} disabled={audio.muted}
+                onChange={(e)=>setVolume({ [k]: Number(e.target.value) })} />
+            </label>
+          ))}
+        </Card>
       </div>
     </div>
   );
@@ -849,3 +2379,96 @@ function Card({ title, children }) {
 }
 
 function mmss(s){ return `${String(Math.floor(s/60)).padStart(2,"0")}:${String(s%60).padStart(2,"0")}`; }
+
+// Export/import the active profile's progress as a file or a short code,
+// previewing an import before it overwrites anything.
+function ProgressTransfer({ apiRef }) {
+  const [code, setCode] = useState("");
+  const [pasted, setPasted] = useState("");
+  const [incoming, setIncoming] = useState(null);
+  const [message, setMessage] = useState("");
+
+  const api = () => {
+    const a = apiRef.current;
+    if (!a?.profileName()) { setMessage("Pick a player in the game first."); return null; }
+    return a;
+  };
+
+  const download = () => {
+    const a = api(); if (!a) return;
+    const url = URL.createObjectURL(new Blob([exportProgressFile(a.current())], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url; link.download = `micromedics-${a.profileName()}-${new Date().toISOString().slice(0,10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000); // revoking right away cancels the download in some browsers
+  };
+
+  const copyCode = async () => {
+    const a = api(); if (!a) return;
+    let c;
+    try { c = encodeProgressCode(a.current()); }
+    catch (e) { setMessage(`Couldn't create a code: ${e.message}`); return; }
+    setCode(c);
+    try { await navigator.clipboard.writeText(c); setMessage("Code copied to clipboard."); }
+    catch { setMessage("Select the code below and copy it."); }
+  };
+
+  const check = (text) => {
+    setIncoming(null);
+    try { setIncoming(decodeProgress(text)); setMessage(""); }
+    catch (e) { setMessage(e.message); }
+  };
+
+  const onFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (file) check(await file.text());
+  };
+
+  const confirmImport = () => {
+    const a = api(); if (!a) return;
+    a.replace(incoming);
+    setIncoming(null); setPasted("");
+    setMessage(`Progress imported for ${a.profileName()}.`);
+  };
+
+  const summary = (p) => {
+    const repaired = Object.keys(p.systems).filter((k) => p.systems[k]);
+    return `⭐ ${p.stars} • 🔧 ${repaired.length ? repaired.join(", ") : "none"} • 📚 ${p.facts.length} facts`;
+  };
+  const btn = { padding:"6px 10px", borderRadius:8, border:"none", background:"#ffd700", color:"#0a0012", cursor:"pointer", fontSize:13 };
+
+  return (
+    <div style={{ fontSize:14 }}>
+      <div style={{ display:"flex", gap:8, flexWrap:"wrap" }}>
+        <button style={btn} onClick={download}>⬇ Download file</button>
+        <button style={btn} onClick={copyCode}>📋 Copy code</button>
+        <label style={{ ...btn, background:"#00f5d4" }}>
+          ⬆ Import file
+          <input type="file" accept="application/json,.json" onChange={onFile} style={{ display:"none" }} />
+        </label>
+      </div>
+      {code && <textarea readOnly value={code} onFocus={(e)=>e.target.select()} style={{ width:"100%", marginTop:8, fontSize:12 }} rows={2} />}
+      <div style={{ display:"flex", gap:8, marginTop:8 }}>
+        <input value={pasted} onChange={(e)=>setPasted(e.target.value)} placeholder="Paste a code (MM-…)" style={{ flex:1, fontSize:13, padding:4 }} />
+        <button style={btn} disabled={!pasted.trim()} onClick={()=>check(pasted)}>Check</button>
+      </div>
+      {incoming && (
+        <div style={{ marginTop:10, padding:10, borderRadius:8, background:"rgba(255,255,255,0.08)" }}>
+          <div style={{ opacity:0.75 }}>Current: {summary(apiRef.current?.current() ?? { stars:0, systems:{}, facts:[] })}</div>
+          <div>Incoming: <b>{summary(incoming)}</b></div>
+          {incoming.facts.length > 0 && (
+            <ul style={{ margin:"6px 0", paddingLeft:18, fontSize:13 }}>
+              {incoming.facts.slice(-3).map((id)=> <li key={id}>{getFact(id)?.text ?? id}</li>)}
+            </ul>
+          )}
+          <div style={{ display:"flex", gap:8, marginTop:6 }}>
+            <button style={{ ...btn, background:"#ff8fab" }} onClick={confirmImport}>Replace my progress</button>
+            <button style={{ ...btn, background:"#cccccc" }} onClick={()=>setIncoming(null)}>Cancel</button>
+          </div>
+        </div>
+      )}
+      {message && <p style={{ margin:"8px 0 0", opacity:0.8 }}>{message}</p>}
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+/**
+ * Procedural sound for MicroMedics — every SFX and music bed is synthesized
+ * with Web Audio at runtime, the same way BootScene draws textures, so there
+ * are no audio assets to ship.
+ *
+ * Volume/mute settings persist in localStorage under "mm_audio" (next to
+ * "mm_progress"). Browsers only allow audio after a user gesture, so the
+ * AudioContext is created lazily by `unlock()` and every call before that is
+ * a silent no-op.
+ */
+
+const settingsKey = "mm_audio";
+const DEFAULT_SETTINGS = { master: 0.8, music: 0.5, sfx: 0.8, muted: false };
+
+// Each SFX is a list of voices: an oscillator sweep (wave/from/to) or a
+// filtered noise burst (noise/filter), offset by `at` seconds.
+const tone = (freq, at, dur = 0.18, vol = 0.3) => ({ wave: "triangle", from: freq, to: freq, dur, vol, at });
+const SFX = {
+  pickup:   [{ wave: "square", from: 880, to: 1320, dur: 0.08, vol: 0.2 }],
+  power:    [{ wave: "triangle", from: 330, to: 990, dur: 0.35, vol: 0.35 }, { wave: "square", from: 660, to: 1320, dur: 0.3, vol: 0.1, at: 0.05 }],
+  chomp:    [{ noise: true, filter: 900, dur: 0.12, vol: 0.4 }, { wave: "sawtooth", from: 220, to: 80, dur: 0.14, vol: 0.25 }],
+  hurt:     [{ wave: "sawtooth", from: 180, to: 60, dur: 0.25, vol: 0.35 }, { noise: true, filter: 400, dur: 0.2, vol: 0.25 }],
+  complete: [523, 659, 784, 1047].map((f, i) => tone(f, i * 0.12)),
+  fail:     [392, 330, 262].map((f, i) => tone(f, i * 0.2, 0.26)),
+  click:    [{ wave: "square", from: 600, to: 600, dur: 0.04, vol: 0.12 }],
+  crumble:  [{ noise: true, filter: 600, dur: 0.3, vol: 0.35 }, { wave: "triangle", from: 160, to: 90, dur: 0.25, vol: 0.2 }],
+  beat:     [{ wave: "sine", from: 90, to: 50, dur: 0.12, vol: 0.25 }, { wave: "sine", from: 80, to: 45, dur: 0.1, vol: 0.18, at: 0.16 }],
+  block:    [{ wave: "triangle", from: 1568, to: 1175, dur: 0.2, vol: 0.3 }, { noise: true, filter: 3000, dur: 0.06, vol: 0.15 }],
+};
+
+// Looping beds: an 8-step pattern of note frequencies (null = rest) over a
+// sustained two-oscillator drone, one per biome.
+const MUSIC = {
+  title: { bpm: 96,  wave: "triangle", drone: [110, 165],   notes: [220, 262, 330, 392, 330, 262, 220, null] },
+  map:   { bpm: 88,  wave: "sine",     drone: [98, 147],    notes: [294, null, 392, 440, null, 392, 330, null] },
+  heart: { bpm: 120, wave: "square",   drone: [73.4, 110],  notes: [147, 147, null, null, 175, null, 147, null] },
+  lungs: { bpm: 72,  wave: "sine",     drone: [130.8, 196], notes: [262, 330, 392, 523, 392, 330, null, null] },
+  gut:   { bpm: 84,  wave: "triangle", drone: [87.3, 130.8], notes: [175, 220, null, 262, 220, null, 196, null] },
+  kidneys: { bpm: 100, wave: "sine",   drone: [98, 146.8],  notes: [392, 440, 392, null, 330, 392, null, 294] },
+  boss:  { bpm: 150, wave: "sawtooth", drone: [55, 82.4],  notes: [110, 110, 131, null, 110, 165, 147, null] },
+  bones: { bpm: 108, wave: "triangle", drone: [65.4, 98],  notes: [523, 659, null, 784, 659, null, 523, 392] },
+  liver: { bpm: 92,  wave: "triangle", drone: [73.4, 110],  notes: [294, null, 349, 294, null, 262, 220, null] },
+  skin:  { bpm: 104, wave: "sine",     drone: [87.3, 130.8], notes: [349, 440, null, 523, 440, null, 392, 349] },
+  brain: { bpm: 132, wave: "square",   drone: [82.4, 123.5], notes: [330, null, 494, 330, null, 659, 494, null] },
+};
+
+function loadSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(settingsKey) ?? "{}") };
+  } catch { return { ...DEFAULT_SETTINGS }; }
+}
+
+export function createSoundSystem() {
+  let settings = loadSettings();
+  let ctx = null, master, musicBus, sfxBus, noiseBuffer;
+  let music = null; // { biome, timer, drone: [osc], step, nextAt }
+
+  const applyVolumes = () => {
+    if (!ctx) return;
+    const t = ctx.currentTime;
+    master.gain.setTargetAtTime(settings.muted ? 0 : settings.master, t, 0.02);
+    musicBus.gain.setTargetAtTime(settings.music, t, 0.02);
+    sfxBus.gain.setTargetAtTime(settings.sfx, t, 0.02);
+  };
+
+  const voice = (v, start, bus) => {
+    const env = ctx.createGain();
+    env.gain.setValueAtTime(0.0001, start);
+    env.gain.exponentialRampToValueAtTime(v.vol, start + 0.01);
+    env.gain.exponentialRampToValueAtTime(0.0001, start + v.dur);
+    env.connect(bus);
+
+    let src;
+    if (v.noise) {
+      src = ctx.createBufferSource(); src.buffer = noiseBuffer;
+      const f = ctx.createBiquadFilter(); f.type = "lowpass"; f.frequency.value = v.filter;
+      src.connect(f); f.connect(env);
+    } else {
+      src = ctx.createOscillator(); src.type = v.wave;
+      src.frequency.setValueAtTime(v.from, start);
+      src.frequency.exponentialRampToValueAtTime(v.to, start + v.dur);
+      src.connect(env);
+    }
+    src.start(start); src.stop(start + v.dur + 0.02);
+  };
+
+  const startBed = (biome) => {
+    const bed = MUSIC[biome];
+    const drone = bed.drone.map((f) => {
+      const o = ctx.createOscillator(), g = ctx.createGain();
+      o.type = "sine"; o.frequency.value = f; g.gain.value = 0.06;
+      o.connect(g); g.connect(musicBus); o.start();
+      return o;
+    });
+    const stepSec = 60 / bed.bpm / 2;
+    const m = { biome, drone, step: 0, nextAt: ctx.currentTime + 0.05 };
+    // lookahead scheduler: queue notes slightly ahead of the audio clock
+    m.timer = setInterval(() => {
+      while (m.nextAt < ctx.currentTime + 0.12) {
+        const f = bed.notes[m.step % bed.notes.length];
+        if (f) voice({ wave: bed.wave, from: f, to: f, dur: stepSec * 0.9, vol: 0.12 }, m.nextAt, musicBus);
+        m.step += 1; m.nextAt += stepSec;
+      }
+    }, 25);
+    music = m;
+  };
+
+  const stopBed = () => {
+    if (!music) return;
+    clearInterval(music.timer);
+    music.drone.forEach((o) => o.stop());
+    music = null;
+  };
+
+  let wantedBiome = null;
+
+  return {
+    /** Creates/resumes the AudioContext; call from a user gesture. */
+    unlock() {
+      if (!ctx) {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!Ctx) return;
+        ctx = new Ctx();
+        master = ctx.createGain(); master.connect(ctx.destination);
+        musicBus = ctx.createGain(); musicBus.connect(master);
+        sfxBus = ctx.createGain(); sfxBus.connect(master);
+        noiseBuffer = ctx.createBuffer(1, ctx.sampleRate * 0.5, ctx.sampleRate);
+        const data = noiseBuffer.getChannelData(0);
+        for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+        applyVolumes();
+      }
+      if (ctx.state === "suspended") ctx.resume();
+      if (wantedBiome && !music) startBed(wantedBiome);
+    },
+    play(name) {
+      if (!ctx || settings.muted || !SFX[name]) return;
+      const t = ctx.currentTime;
+      SFX[name].forEach((v) => voice(v, t + (v.at ?? 0), sfxBus));
+    },
+    /** Switches the looping bed; a no-op if that biome is already playing. */
+    playMusic(biome) {
+      wantedBiome = MUSIC[biome] ? biome : null;
+      if (!ctx || music?.biome === wantedBiome) return;
+      stopBed();
+      if (wantedBiome) startBed(wantedBiome);
+    },
+    stopMusic() { wantedBiome = null; if (ctx) stopBed(); },
+    getSettings: () => ({ ...settings }),
+    setSettings(patch) {
+      settings = { ...settings, ...patch };
+      localStorage.setItem(settingsKey, JSON.stringify(settings));
+      applyVolumes();
+      return { ...settings };
+    },
+    toggleMute() { return this.setSettings({ muted: !settings.muted }); },
+    destroy() { stopBed(); if (ctx) { ctx.close(); ctx = null; } },
+  };
+}
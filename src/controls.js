@@ -0,0 +1,98 @@
+import Phaser from "phaser";
+
+/**
+ * Logical input actions shared by every level and menu.
+ *
+ * Keyboard bindings are remappable (Settings scene) and persist in
+ * localStorage under "mm_controls". Gamepad buttons follow the standard
+ * mapping (A = 0, X = 2, Start = 9) with the d-pad or left stick for movement, and
+ * the touch pads feed the same actions through `press`/`release`.
+ */
+
+export const ACTIONS = ["left", "right", "jump", "use", "pause", "confirm"];
+
+export const ACTION_LABELS = { left: "Move left", right: "Move right", jump: "Jump", use: "Use / place", pause: "Pause", confirm: "Confirm" };
+
+export const DEFAULT_BINDINGS = {
+  left: ["LEFT", "A"],
+  right: ["RIGHT", "D"],
+  jump: ["UP", "W", "SPACE"],
+  use: ["E", "SHIFT"],
+  pause: ["ESC", "P"],
+  confirm: ["ENTER"],
+};
+
+const PAD_BUTTONS = { jump: [0], use: [2], confirm: [0], pause: [9] };
+const STICK_DEADZONE = 0.4;
+const bindingsKey = "mm_controls";
+// Phaser keeps one global capture list, so count how many live scenes bind each keyCode and
+// only drop its capture when the last one lets go (the Pause overlay shares keys with the level)
+const captureCount = new Map();
+
+export function loadBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(bindingsKey) ?? "{}");
+    return Object.fromEntries(ACTIONS.map((a) => [a, Array.isArray(saved[a]) && saved[a].length ? saved[a] : DEFAULT_BINDINGS[a]]));
+  } catch { return { ...DEFAULT_BINDINGS }; }
+}
+
+export function saveBindings(bindings) {
+  localStorage.setItem(bindingsKey, JSON.stringify(bindings));
+}
+
+/** Phaser KeyCodes name for a DOM keyCode, e.g. 37 → "LEFT". */
+export function keyName(keyCode) {
+  return Object.keys(Phaser.Input.Keyboard.KeyCodes).find((k) => Phaser.Input.Keyboard.KeyCodes[k] === keyCode);
+}
+
+/**
+ * Binds the current key map to `scene` and returns an action reader:
+ *   controls.isDown("left")         held on any device
+ *   controls.on("jump", cb)         fired once per press on any device
+ *   controls.press / release(a)     used by the touch pads
+ * Listeners and keys are torn down when the scene shuts down.
+ */
+export function createControls(scene, bindings = loadBindings()) {
+  const events = new Phaser.Events.EventEmitter();
+  const held = new Set();
+  const keys = Object.fromEntries(ACTIONS.map((a) => [a, bindings[a].map((name) => scene.input.keyboard.addKey(name))]));
+  const bound = ACTIONS.flatMap((a) => keys[a]);
+  bound.forEach((k) => captureCount.set(k.keyCode, (captureCount.get(k.keyCode) ?? 0) + 1));
+
+  ACTIONS.forEach((a) => keys[a].forEach((k) => k.on("down", () => events.emit(a))));
+
+  const gamepad = scene.input.gamepad;
+  const onPadDown = (_pad, button) => {
+    ACTIONS.forEach((a) => { if (PAD_BUTTONS[a]?.includes(button.index)) events.emit(a); });
+  };
+  gamepad?.on("down", onPadDown);
+
+  const padHeld = (a) => {
+    const pad = gamepad?.pad1;
+    if (!pad) return false;
+    if (a === "left") return pad.left || pad.leftStick.x < -STICK_DEADZONE;
+    if (a === "right") return pad.right || pad.leftStick.x > STICK_DEADZONE;
+    return (PAD_BUTTONS[a] ?? []).some((i) => pad.buttons[i]?.pressed);
+  };
+
+  const controls = {
+    bindings,
+    isDown: (a) => held.has(a) || keys[a].some((k) => k.isDown) || padHeld(a),
+    on: (a, cb) => { events.on(a, cb); return controls; },
+    off: (a, cb) => { events.off(a, cb); return controls; },
+    press: (a) => { held.add(a); events.emit(a); },
+    release: (a) => { held.delete(a); },
+    destroy() {
+      scene.events.off(Phaser.Scenes.Events.SHUTDOWN, controls.destroy);
+      events.removeAllListeners();
+      gamepad?.off("down", onPadDown);
+      bound.forEach((k) => {
+        const left = captureCount.get(k.keyCode) - 1;
+        captureCount.set(k.keyCode, left);
+        scene.input.keyboard.removeKey(k, true, left === 0);
+      });
+    },
+  };
+  scene.events.once(Phaser.Scenes.Events.SHUTDOWN, controls.destroy);
+  return controls;
+}
@@ -0,0 +1,161 @@
+import Phaser from "phaser";
+
+/**
+ * Pathogen behaviours, selectable per level.
+ *
+ * A level's `enemies` block spawns the classic chasing virus; its optional
+ * `pathogens` list adds other types, each entry overriding that type's
+ * defaults:
+ *   { "type": "bacteria", "positions": [[x, y]], "speed": 80 }
+ *
+ * Types:
+ *   virus     chases the player ("seek" / "nudge" / "guard", see src/levels)
+ *   bacteria  patrols a platform, turning at walls and ledges
+ *   splitter  chases; a chomp divides it into two smaller copies, which
+ *             can't be touched for `graceMs`
+ *   fungus    drifts down and sticks where it lands; touching it slows you
+ *   parasite  hops after you and drains ⚡, which it gives back when chomped
+ *
+ * LevelScene owns the sprites (they live in its `viruses` group) and calls
+ * the hooks below; while power mode is on every type except fungus flees.
+ */
+
+const TYPES = {
+  virus: {
+    defaults: { damage: 10 },
+    spawn(v, spec) {
+      v.setCollideWorldBounds(true).setBounce(1).setMaxVelocity(spec.maxVelocity, spec.maxVelocity);
+      v.setVelocity(Phaser.Math.Between(...spec.velocity.x), Phaser.Math.Between(...spec.velocity.y));
+    },
+    update(v, scene, spec) {
+      const { chase } = spec;
+      if (chase.mode === "guard" && scene.signal?.left > 0) {
+        // circle the synapse the player is heading for
+        const t = scene.synapses[scene.signal.target];
+        v.orbit ??= Phaser.Math.FloatBetween(0, Math.PI * 2);
+        const a = scene.time.now / 700 + v.orbit;
+        scene.physics.moveTo(v, t.x + Math.cos(a) * 70, t.y + Math.sin(a) * 70, chase.speed * 2);
+      } else if (chase.mode === "nudge") {
+        const a = Phaser.Math.Angle.Between(v.x, v.y, scene.player.x, scene.player.y);
+        v.body.velocity.x += Math.cos(a) * chase.accel;
+        v.body.velocity.y += Math.sin(a) * chase.accel;
+      } else {
+        scene.physics.moveToObject(v, scene.player, chase.speed);
+      }
+    },
+  },
+
+  bacteria: {
+    defaults: { texture: "bacteriaRod", damage: 10, score: 150, speed: 60, fleeSpeed: 120, grounded: true },
+    spawn(v) {
+      v.setCollideWorldBounds(true);
+      v.dir = Math.random() < 0.5 ? -1 : 1;
+    },
+    update(v, scene, spec) {
+      const b = v.body;
+      if (b.blocked.left || b.touching.left) v.dir = 1;
+      else if (b.blocked.right || b.touching.right) v.dir = -1;
+      else if (b.blocked.down || b.touching.down) {
+        // turn around at ledges
+        const ahead = scene.physics.overlapRect(v.x + v.dir * (b.halfWidth + 4), b.bottom + 4, 2, 2, false, true);
+        if (!ahead.length) v.dir *= -1;
+      }
+      v.setVelocityX(v.dir * spec.speed).setFlipX(v.dir < 0);
+    },
+  },
+
+  splitter: {
+    defaults: { texture: "virusSplit", damage: 10, score: 120, speed: 70, fleeSpeed: 100, maxVelocity: 160, generations: 2, graceMs: 500 },
+    spawn(v, spec) {
+      v.gen ??= 0;
+      v.setScale(1 - v.gen * 0.25).setCollideWorldBounds(true).setBounce(1).setMaxVelocity(spec.maxVelocity, spec.maxVelocity);
+    },
+    update(v, scene, spec) {
+      scene.physics.moveToObject(v, scene.player, spec.speed * (1 + v.gen * 0.3));
+    },
+    defeat(v, scene, spec) {
+      if (v.gen >= spec.generations) return;
+      // the halves burst out of the player's reach and can't be touched for a
+      // moment, so one chomp doesn't chain through every generation
+      const away = Math.sign(v.x - scene.player.x) || 1;
+      [-1, 1].forEach((d) => scene.spawnEnemy(spec, v.x + away * 24 + d * 12, v.y, { gen: v.gen + 1, graceUntil: scene.time.now + spec.graceMs })
+        .setVelocity(away * 120 + d * 80, -120));
+    },
+  },
+
+  fungus: {
+    defaults: { texture: "fungusSpore", damage: 5, score: 80, fallSpeed: 40, slowMs: 1500, flees: false },
+    spawn(v, spec) {
+      v.body.setAllowGravity(false);
+      v.setCollideWorldBounds(true).setVelocity(Phaser.Math.Between(-20, 20), spec.fallSpeed);
+    },
+    update(v, _scene, spec) {
+      if (v.stuck) return;
+      if (v.body.blocked.down || v.body.touching.down) {
+        v.stuck = true; v.body.moves = false;
+        v.setScale(1.5, 0.7);
+      } else v.setVelocityY(spec.fallSpeed);
+    },
+    touch(v, scene, spec) {
+      if (scene.hurt(spec.damage)) scene.slowUntil = scene.time.now + spec.slowMs;
+    },
+  },
+
+  parasite: {
+    defaults: { texture: "parasiteWorm", damage: 5, drain: 2, score: 180, speed: 50, hop: 260, fleeSpeed: 120, grounded: true },
+    spawn(v) {
+      v.setCollideWorldBounds(true).setBounce(0.2);
+      v.nextHopAt = 0; v.stolen = 0;
+    },
+    update(v, scene, spec) {
+      // inches after the player in hops
+      if (!(v.body.blocked.down || v.body.touching.down)) return;
+      v.setVelocityX(Math.sign(scene.player.x - v.x) * spec.speed).setFlipX(scene.player.x < v.x);
+      if (scene.time.now > v.nextHopAt) {
+        v.setVelocityY(-spec.hop);
+        v.nextHopAt = scene.time.now + Phaser.Math.Between(900, 1600);
+      }
+    },
+    touch(v, scene, spec) {
+      if (scene.hurt(spec.damage)) v.stolen += scene.drainEnergy(spec.drain);
+    },
+    defeat(v, scene) {
+      scene.dropOrbs(v.x, v.y, v.stolen);
+    },
+  },
+};
+
+/** Merges a level's pathogen entry over its type's defaults; unknown types throw. */
+export function resolveEnemy(spec) {
+  const type = spec.type ?? "virus";
+  if (!TYPES[type]) throw new Error(`Unknown enemy type: ${type}`);
+  return { ...TYPES[type].defaults, ...spec, type };
+}
+
+export function spawnHook(v, spec) {
+  TYPES[spec.type].spawn(v, spec);
+}
+
+/** Per-frame steering: flee while vulnerable, otherwise the type's own movement. */
+export function steerEnemy(v, scene, dt) {
+  const spec = v.spec;
+  if (v.vulnerable && spec.flees !== false) {
+    const a = Phaser.Math.Angle.Between(scene.player.x, scene.player.y, v.x, v.y);
+    if (spec.grounded) v.setVelocityX(Math.sign(Math.cos(a)) * spec.fleeSpeed);
+    else v.setVelocity(Math.cos(a) * spec.fleeSpeed, Math.sin(a) * spec.fleeSpeed);
+    return;
+  }
+  TYPES[spec.type].update(v, scene, spec, dt);
+}
+
+/** Contact with the player outside power mode. */
+export function touchEnemy(v, scene) {
+  const t = TYPES[v.spec.type];
+  if (t.touch) t.touch(v, scene, v.spec);
+  else scene.hurt(v.spec.damage);
+}
+
+/** Extra effect of being chomped (runs before the sprite is destroyed). */
+export function defeatHook(v, scene) {
+  TYPES[v.spec.type].defeat?.(v, scene, v.spec);
+}
@@ -0,0 +1,328 @@
+/**
+ * Fact catalog — the single source for every anatomy fact the game teaches.
+ *
+ * Saves, level rewards and quiz questions refer to facts by `id` only, so the
+ * wording here can be edited freely. Save codes (src/saveStore.js) refer to
+ * facts and systems by position, so add new ones at the end. Fields:
+ *   id          stable key stored in saves (never rename)
+ *   system      body system key, see SYSTEMS
+ *   text        one-line fact shown in the HUD and codex
+ *   extended    optional longer explanation for the codex
+ *   band        reading/age band: "6-8", "9-11" or "12+"
+ *   difficulty  1 (intro) … 3 (stretch)
+ *   source      citation for teachers
+ *   recall      multiple-choice question used by Review mode: { prompt, choices, answer }
+ *   legacyText  sentence stored by saves from before fact IDs (migration only)
+ */
+
+export const SYSTEMS = {
+  heart: { name: "Circulatory System", icon: "organHeart" },
+  lungs: { name: "Respiratory System", icon: "organLungs" },
+  brain: { name: "Nervous System", icon: "organBrain" },
+  gut: { name: "Digestive System", icon: "organGut" },
+  kidneys: { name: "Urinary System", icon: "organKidneys" },
+  immune: { name: "Immune System", icon: "organImmune" },
+  bones: { name: "Skeletal System", icon: "organBones" },
+  liver: { name: "Liver", icon: "organLiver" },
+  skin: { name: "Integumentary System", icon: "organSkin" },
+};
+
+export const FACTS = [
+  {
+    id: "heart-beats-daily", system: "heart", band: "6-8", difficulty: 1,
+    text: "The heart pumps ~100,000 times per day.",
+    extended: "At a resting rate of about 70 beats a minute, that adds up to more than 35 million beats a year.",
+    source: "American Heart Association — How the Healthy Heart Works",
+    recall: { prompt: "About how many times does your heart beat in one day?", choices: ["1,000", "100,000", "10 million"], answer: 1 },
+    legacyText: "The heart pumps ~100,000 times per day.",
+  },
+  {
+    id: "heart-chambers", system: "heart", band: "6-8", difficulty: 1,
+    text: "The heart has four chambers: two atria and two ventricles.",
+    extended: "The atria on top collect blood coming in; the stronger ventricles below squeeze it out to the lungs and body.",
+    source: "NIH National Heart, Lung, and Blood Institute — How the Heart Works",
+    recall: { prompt: "How many chambers does the heart have?", choices: ["2", "4", "6"], answer: 1 },
+  },
+  {
+    id: "heart-rbc-oxygen", system: "heart", band: "9-11", difficulty: 2,
+    text: "Red blood cells carry oxygen using a protein called hemoglobin.",
+    extended: "Hemoglobin contains iron, which grabs oxygen in the lungs and lets it go in the tissues — and gives blood its red colour.",
+    source: "MedlinePlus (U.S. National Library of Medicine) — Hemoglobin Test",
+    recall: { prompt: "Which protein in red blood cells carries oxygen?", choices: ["Hemoglobin", "Insulin", "Keratin"], answer: 0 },
+  },
+  {
+    id: "heart-vessels", system: "heart", band: "9-11", difficulty: 2,
+    text: "An adult's blood vessels laid end to end would stretch about 100,000 km.",
+    extended: "That's enough to wrap around the Earth more than twice — most of the length is tiny capillaries.",
+    source: "The Franklin Institute — Blood Vessels",
+    recall: { prompt: "Laid end to end, an adult's blood vessels would stretch about…", choices: ["100 m", "1,000 km", "100,000 km"], answer: 2 },
+  },
+  {
+    id: "heart-valves", system: "heart", band: "9-11", difficulty: 2,
+    text: "Heart valves open and shut with every beat so blood only flows one way.",
+    extended: "Each squeeze pushes blood through an open valve; the valve then snaps shut so blood can't slosh back. That snapping is the \"lub-dub\" a doctor hears.",
+    source: "NIH National Heart, Lung, and Blood Institute — How the Heart Works",
+    recall: { prompt: "What do heart valves do?", choices: ["Keep blood flowing one way", "Make red blood cells", "Store oxygen"], answer: 0 },
+  },
+  {
+    id: "lungs-alveoli", system: "lungs", band: "6-8", difficulty: 1,
+    text: "Alveoli are tiny sacs where oxygen enters the blood.",
+    extended: "Each alveolus is wrapped in capillaries; oxygen diffuses in and carbon dioxide diffuses out across a wall thinner than a tissue.",
+    source: "American Lung Association — How Lungs Work",
+    recall: { prompt: "What are alveoli?", choices: ["Tiny air sacs in the lungs", "Bones in the chest", "Muscles in the throat"], answer: 0 },
+    legacyText: "Alveoli are tiny sacs where oxygen enters the blood.",
+  },
+  {
+    id: "lungs-co2", system: "lungs", band: "6-8", difficulty: 1,
+    text: "Breathing out removes carbon dioxide, a waste gas made by your cells.",
+    source: "NIH National Heart, Lung, and Blood Institute — How the Lungs Work",
+    recall: { prompt: "Which gas do you get rid of when you breathe out?", choices: ["Oxygen", "Carbon dioxide", "Helium"], answer: 1 },
+  },
+  {
+    id: "lungs-diaphragm", system: "lungs", band: "9-11", difficulty: 2,
+    text: "The diaphragm is the main muscle that powers breathing.",
+    extended: "When it contracts it flattens and pulls air into the lungs; when it relaxes, air flows back out.",
+    source: "NIH National Heart, Lung, and Blood Institute — How the Lungs Work",
+    recall: { prompt: "Which muscle powers breathing?", choices: ["Diaphragm", "Biceps", "Tongue"], answer: 0 },
+  },
+  {
+    id: "lungs-alveoli-count", system: "lungs", band: "12+", difficulty: 3,
+    text: "Adult lungs contain roughly 480 million alveoli.",
+    extended: "Spread flat, their surface would cover about half a tennis court.",
+    source: "Ochs et al., Am J Respir Crit Care Med 169 (2004) — The number of alveoli in the human lung",
+    recall: { prompt: "Roughly how many alveoli are in adult lungs?", choices: ["480", "480 thousand", "480 million"], answer: 2 },
+  },
+  {
+    id: "brain-spinal-cord", system: "brain", band: "6-8", difficulty: 1,
+    text: "The spinal cord carries messages between your brain and your body.",
+    extended: "It runs down the inside of your backbone; nerves branch off it to reach your arms, legs and organs.",
+    source: "NIH National Institute of Neurological Disorders and Stroke — Brain Basics: Know Your Brain",
+    recall: { prompt: "What carries messages between your brain and body?", choices: ["Spinal cord", "Stomach", "Ribs"], answer: 0 },
+  },
+  {
+    id: "brain-synapse", system: "brain", band: "9-11", difficulty: 2,
+    text: "Neurons pass signals across tiny gaps called synapses.",
+    extended: "The electrical impulse can't jump the gap, so the neuron releases chemical messengers (neurotransmitters) that carry it across.",
+    source: "Queensland Brain Institute — What is a synapse?",
+    recall: { prompt: "What is the tiny gap between two neurons called?", choices: ["A valve", "A synapse", "An alveolus"], answer: 1 },
+  },
+  {
+    id: "brain-signal-speed", system: "brain", band: "9-11", difficulty: 2,
+    text: "The fastest nerve signals travel about 120 metres per second.",
+    extended: "Nerves wrapped in a fatty coat called myelin carry impulses fastest — over 400 km/h.",
+    source: "Queensland Brain Institute — Action potentials and synapses",
+    recall: { prompt: "About how fast can the quickest nerve signals travel?", choices: ["1 m/s", "120 m/s", "3,000 m/s"], answer: 1 },
+  },
+  {
+    id: "brain-neuron-count", system: "brain", band: "12+", difficulty: 3,
+    text: "The human brain has about 86 billion neurons.",
+    extended: "Each neuron can connect to thousands of others, giving trillions of synapses.",
+    source: "Azevedo et al., J Comp Neurol 513 (2009) — Equal numbers of neuronal and nonneuronal cells make the human brain",
+    recall: { prompt: "Roughly how many neurons are in the human brain?", choices: ["86 thousand", "86 million", "86 billion"], answer: 2 },
+  },
+  {
+    id: "gut-stomach-acid", system: "gut", band: "6-8", difficulty: 1,
+    text: "Your stomach makes acid strong enough to break down food and kill germs.",
+    extended: "A thick layer of mucus lines the stomach so the hydrochloric acid doesn't digest the stomach itself.",
+    source: "NIH National Institute of Diabetes and Digestive and Kidney Diseases — Your Digestive System & How It Works",
+    recall: { prompt: "Why does your stomach make acid?", choices: ["To break down food and kill germs", "To keep you warm", "To make blood"], answer: 0 },
+  },
+  {
+    id: "gut-peristalsis", system: "gut", band: "9-11", difficulty: 2,
+    text: "Waves of muscle squeezes called peristalsis push food through your gut.",
+    extended: "The waves work even upside down — astronauts can swallow and digest in space.",
+    source: "NIH National Institute of Diabetes and Digestive and Kidney Diseases — Your Digestive System & How It Works",
+    recall: { prompt: "What are the muscle waves that move food through your gut called?", choices: ["Peristalsis", "Photosynthesis", "Respiration"], answer: 0 },
+  },
+  {
+    id: "gut-small-intestine", system: "gut", band: "9-11", difficulty: 2,
+    text: "The small intestine is about 6 metres long and absorbs most nutrients.",
+    extended: "Millions of finger-like villi line its walls, giving it a huge surface for soaking up food.",
+    source: "MedlinePlus (U.S. National Library of Medicine) — Small intestine",
+    recall: { prompt: "About how long is the small intestine?", choices: ["6 centimetres", "6 metres", "60 metres"], answer: 1 },
+  },
+  {
+    id: "gut-microbiome", system: "gut", band: "12+", difficulty: 3,
+    text: "About 38 trillion bacteria live in your body, mostly in the large intestine.",
+    extended: "These gut flora help digest fibre, make some vitamins and crowd out harmful microbes.",
+    source: "Sender, Fuchs & Milo, PLoS Biol 14 (2016) — Revised estimates for the number of human and bacteria cells in the body",
+    recall: { prompt: "Where do most of the bacteria in your body live?", choices: ["Large intestine", "Brain", "Bones"], answer: 0 },
+  },
+  {
+    id: "kidneys-urine", system: "kidneys", band: "6-8", difficulty: 1,
+    text: "Urine is mostly water, carrying away waste your kidneys filter out.",
+    extended: "The main waste is urea, made when your body breaks down protein; it travels from the kidneys to the bladder.",
+    source: "NIH National Institute of Diabetes and Digestive and Kidney Diseases — Your Kidneys & How They Work",
+    recall: { prompt: "What does urine carry out of your body?", choices: ["Oxygen", "Waste", "Red blood cells"], answer: 1 },
+  },
+  {
+    id: "kidneys-filter-cells", system: "kidneys", band: "6-8", difficulty: 1,
+    text: "Blood cells are too big to pass through the kidney's filters, so they stay in the blood.",
+    extended: "The glomerulus lets water, salt, sugar and waste through but holds back blood cells and large proteins — blood in urine can be a sign the filters are damaged.",
+    source: "OpenStax Anatomy and Physiology 2e — 25.6 Physiology of Urine Formation",
+    recall: { prompt: "Which of these can NOT pass through a healthy kidney filter?", choices: ["Water", "Salt", "Red blood cells"], answer: 2 },
+  },
+  {
+    id: "kidneys-daily-filter", system: "kidneys", band: "9-11", difficulty: 2,
+    text: "Your kidneys filter about 150 quarts (140 litres) of blood every day.",
+    extended: "Only 1 to 2 quarts of that leaves as urine — the rest goes back into the blood.",
+    source: "NIH National Institute of Diabetes and Digestive and Kidney Diseases — Your Kidneys & How They Work",
+    recall: { prompt: "About how much blood do your kidneys filter each day?", choices: ["1 litre", "140 litres", "10,000 litres"], answer: 1 },
+  },
+  {
+    id: "kidneys-nephrons", system: "kidneys", band: "9-11", difficulty: 2,
+    text: "Each kidney has about a million tiny filters called nephrons.",
+    extended: "In each nephron a ball of capillaries (the glomerulus) strains the blood, and a tubule fine-tunes what is kept.",
+    source: "NIH National Institute of Diabetes and Digestive and Kidney Diseases — Your Kidneys & How They Work",
+    recall: { prompt: "What are the kidney's tiny filtering units called?", choices: ["Neurons", "Nephrons", "Alveoli"], answer: 1 },
+  },
+  {
+    id: "kidneys-reabsorb", system: "kidneys", band: "12+", difficulty: 3,
+    text: "About 99% of the water filtered by the kidneys is reabsorbed into the blood.",
+    extended: "Blood cells and large proteins are too big to pass the filter at all; water, salt and glucose are filtered and then mostly taken back.",
+    source: "OpenStax Anatomy and Physiology 2e — 25.6 Physiology of Urine Formation",
+    recall: { prompt: "What happens to most of the water the kidneys filter?", choices: ["It becomes urine", "It is reabsorbed into the blood", "It turns into salt"], answer: 1 },
+  },
+  {
+    id: "immune-white-cells", system: "immune", band: "6-8", difficulty: 1,
+    text: "White blood cells are your body's germ fighters.",
+    extended: "They patrol your blood and tissues, and rush to any spot where germs get in — that's why a cut can get red and swollen.",
+    source: "MedlinePlus (U.S. National Library of Medicine) — Immune System and Disorders",
+    recall: { prompt: "Which cells fight germs in your body?", choices: ["Red blood cells", "White blood cells", "Skin cells"], answer: 1 },
+  },
+  {
+    id: "immune-antibodies", system: "immune", band: "9-11", difficulty: 2,
+    text: "Antibodies are Y-shaped proteins that latch onto germs and mark them for destruction.",
+    extended: "Each antibody fits one particular germ, like a key fits one lock.",
+    source: "British Society for Immunology — Antibodies",
+    recall: { prompt: "What do antibodies do?", choices: ["Carry oxygen", "Latch onto germs", "Digest food"], answer: 1 },
+  },
+  {
+    id: "immune-memory", system: "immune", band: "9-11", difficulty: 2,
+    text: "After fighting a germ, memory cells remember it so you can beat it faster next time.",
+    extended: "Vaccines work the same way: they teach your immune system to recognise a germ without you getting sick.",
+    source: "CDC — Understanding How Vaccines Work",
+    recall: { prompt: "How do vaccines protect you?", choices: ["They teach your immune system to recognise a germ", "They kill every germ in your body", "They make your blood thicker"], answer: 0 },
+  },
+  {
+    id: "immune-phagocytosis", system: "immune", band: "12+", difficulty: 3,
+    text: "Phagocytes swallow and digest bacteria in a process called phagocytosis.",
+    extended: "Neutrophils, the most common white blood cells, surround a bacterium, pull it inside and break it down with enzymes.",
+    source: "British Society for Immunology — Phagocytosis",
+    recall: { prompt: "What is it called when a white blood cell swallows a bacterium?", choices: ["Photosynthesis", "Phagocytosis", "Peristalsis"], answer: 1 },
+  },
+  {
+    id: "bones-count", system: "bones", band: "6-8", difficulty: 1,
+    text: "An adult skeleton has 206 bones.",
+    extended: "Babies are born with around 270 bones; many of them, like the plates of the skull, fuse together as you grow.",
+    source: "OpenStax Anatomy and Physiology 2e — 7.1 Divisions of the Skeletal System",
+    recall: { prompt: "How many bones does an adult skeleton have?", choices: ["26", "206", "2,006"], answer: 1 },
+  },
+  {
+    id: "bones-femur", system: "bones", band: "6-8", difficulty: 1,
+    text: "The femur (thigh bone) is the longest and strongest bone in the body.",
+    extended: "It carries your weight when you stand, walk and jump, and makes up about a quarter of your height.",
+    source: "OpenStax Anatomy and Physiology 2e — 8.4 Bones of the Lower Limb",
+    recall: { prompt: "Which is the longest bone in your body?", choices: ["The femur", "The spine", "The skull"], answer: 0 },
+  },
+  {
+    id: "bones-calcium", system: "bones", band: "9-11", difficulty: 2,
+    text: "About 99% of the body's calcium is stored in bones and teeth.",
+    extended: "Calcium crystals make bone hard; the body can also draw on this store when the blood needs calcium.",
+    source: "NIH Office of Dietary Supplements — Calcium Fact Sheet",
+    recall: { prompt: "Where is most of your body's calcium stored?", choices: ["In your blood", "In your bones and teeth", "In your muscles"], answer: 1 },
+  },
+  {
+    id: "bones-marrow", system: "bones", band: "9-11", difficulty: 2,
+    text: "Red bone marrow makes new blood cells — billions every day.",
+    extended: "The soft marrow inside bones like the hips and ribs produces red cells, white cells and platelets.",
+    source: "MedlinePlus (U.S. National Library of Medicine) — Bone Marrow Diseases",
+    recall: { prompt: "Where are new blood cells made?", choices: ["In the heart", "In the bone marrow", "In the lungs"], answer: 1 },
+  },
+  {
+    id: "bones-remodel", system: "bones", band: "12+", difficulty: 3,
+    text: "Bone is living tissue that is constantly broken down and rebuilt.",
+    extended: "Osteoclasts dissolve old bone and osteoblasts lay down new bone. A fracture heals the same way: a soft callus forms across the break and hardens over several weeks.",
+    source: "OpenStax Anatomy and Physiology 2e — 6.5 Fractures: Bone Repair",
+    recall: { prompt: "Which cells lay down new bone?", choices: ["Osteoblasts", "Neurons", "Platelets"], answer: 0 },
+  },
+  {
+    id: "liver-largest", system: "liver", band: "6-8", difficulty: 1,
+    text: "The liver is the largest organ inside your body.",
+    extended: "An adult liver weighs about 1.5 kg — roughly as much as a bag of sugar — and sits under the ribs on the right side.",
+    source: "OpenStax Anatomy and Physiology 2e — 23.6 Accessory Organs in Digestion",
+    recall: { prompt: "Which is the largest organ inside your body?", choices: ["The liver", "The heart", "The stomach"], answer: 0 },
+  },
+  {
+    id: "liver-functions", system: "liver", band: "9-11", difficulty: 2,
+    text: "The liver does hundreds of jobs, from storing sugar to making proteins that help blood clot.",
+    extended: "It stores glucose as glycogen and releases it between meals, makes blood proteins, and keeps a store of vitamins and iron.",
+    source: "Johns Hopkins Medicine — Liver: Anatomy and Functions",
+    recall: { prompt: "Which of these is one of the liver's jobs?", choices: ["Pumping blood", "Storing sugar for later", "Sensing light"], answer: 1 },
+  },
+  {
+    id: "liver-detox", system: "liver", band: "9-11", difficulty: 2,
+    text: "The liver cleans the blood by breaking down toxins, old drugs and alcohol.",
+    extended: "Liver enzymes change harmful substances into safer ones; toxic ammonia, for example, becomes urea, which the kidneys remove.",
+    source: "Johns Hopkins Medicine — Liver: Anatomy and Functions",
+    recall: { prompt: "What does the liver turn toxic ammonia into?", choices: ["Bile", "Urea", "Glucose"], answer: 1 },
+  },
+  {
+    id: "liver-bile", system: "liver", band: "9-11", difficulty: 2,
+    text: "The liver makes bile, which helps digest fats.",
+    extended: "Bile is stored in the gallbladder and squeezed into the small intestine, where it breaks fat into tiny droplets.",
+    source: "OpenStax Anatomy and Physiology 2e — 23.6 Accessory Organs in Digestion",
+    recall: { prompt: "What does bile help you digest?", choices: ["Fats", "Water", "Salt"], answer: 0 },
+  },
+  {
+    id: "liver-regenerate", system: "liver", band: "12+", difficulty: 3,
+    text: "The liver is the only organ that can regrow to full size after part of it is removed.",
+    extended: "After surgery removes up to two thirds of it, the remaining liver cells divide until it is back to about its original size within weeks.",
+    source: "National Cancer Institute — Liver regeneration (NIH)",
+    recall: { prompt: "What is special about the liver?", choices: ["It never needs blood", "It can regrow after part is removed", "It makes sound"], answer: 1 },
+  },
+  {
+    id: "skin-largest", system: "skin", band: "6-8", difficulty: 1,
+    text: "Skin is the body's largest organ.",
+    extended: "An adult's skin covers about 2 square metres and weighs around 4 kg. It keeps water in, germs out and helps control body temperature.",
+    source: "OpenStax Anatomy and Physiology 2e — 5.1 Layers of the Skin",
+    recall: { prompt: "Which is the body's largest organ?", choices: ["The liver", "The skin", "The brain"], answer: 1 },
+  },
+  {
+    id: "skin-barrier", system: "skin", band: "6-8", difficulty: 1,
+    text: "Unbroken skin is a first line of defence that keeps most germs out.",
+    extended: "Its tough outer layer of dead cells, plus oils and friendly microbes on the surface, make it hard for germs to get in — until there's a cut.",
+    source: "OpenStax Microbiology — 17.1 Physical Defenses",
+    recall: { prompt: "How do most germs get through the skin?", choices: ["Through cuts and openings", "They soak straight through", "Through hair"], answer: 0 },
+  },
+  {
+    id: "skin-platelets", system: "skin", band: "9-11", difficulty: 2,
+    text: "Platelets are tiny cell fragments that clump together to plug a cut.",
+    extended: "Within seconds of an injury, platelets stick to the damaged vessel wall and to each other, forming a temporary plug.",
+    source: "OpenStax Anatomy and Physiology 2e — 18.5 Hemostasis",
+    recall: { prompt: "What do platelets do when you get a cut?", choices: ["Clump together to plug it", "Carry oxygen to it", "Send pain signals"], answer: 0 },
+  },
+  {
+    id: "skin-fibrin", system: "skin", band: "12+", difficulty: 3,
+    text: "Fibrin threads form a mesh over the platelet plug, turning it into a solid clot.",
+    extended: "A cascade of clotting factors turns fibrinogen in the blood into sticky fibrin strands, which trap red cells; the dried clot becomes a scab.",
+    source: "OpenStax Anatomy and Physiology 2e — 18.5 Hemostasis",
+    recall: { prompt: "Which protein forms the mesh of a blood clot?", choices: ["Keratin", "Fibrin", "Insulin"], answer: 1 },
+  },
+  {
+    id: "skin-renew", system: "skin", band: "9-11", difficulty: 2,
+    text: "Your outer skin replaces itself about once a month.",
+    extended: "New cells form at the bottom of the epidermis and move up over a few weeks, while dead cells flake off the surface.",
+    source: "OpenStax Anatomy and Physiology 2e — 5.1 Layers of the Skin",
+    recall: { prompt: "About how often does your outer skin replace itself?", choices: ["Every day", "About once a month", "Every ten years"], answer: 1 },
+  },
+];
+
+const byId = new Map(FACTS.map((f) => [f.id, f]));
+
+export const getFact = (id) => byId.get(id) ?? null;
+
+export const factsForSystem = (system) => FACTS.filter((f) => f.system === system);
+
+/** Maps a pre-catalog fact sentence to its ID, or null if it is not in the catalog. */
+export const factIdForLegacyText = (text) => FACTS.find((f) => f.legacyText === text)?.id ?? null;
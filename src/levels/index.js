@@ -0,0 +1,42 @@
+import circulatory from "./circulatory.json";
+import lungs from "./lungs.json";
+import brain from "./brain.json";
+import digestive from "./digestive.json";
+import kidneys from "./kidneys.json";
+import skeleton from "./skeleton.json";
+import liver from "./liver.json";
+import skin from "./skin.json";
+import immune from "./immune.json";
+
+/**
+ * Level descriptors, one per organ. Each entry becomes a LevelScene keyed by
+ * `key` and a Body Map node (laid out two per row in this order); to add an
+ * organ, drop a new JSON file here and append it below. The HUD level number
+ * comes from the position in this list, and save codes store Body Map unlocks
+ * by it (see src/saveStore.js), so don't reorder existing entries.
+ *
+ * Descriptor fields (optional ones marked ?):
+ *  - key, title, hint, intro           scene key, header lines, Dr. Nova opener
+ *  - background, bands, music          camera colour, pulsing backdrop bands, music bed (src/audio.js)
+ *  - gravity?, world?, segments?       world gravity; { width?, height?, scroll?, fallDamage? } for a
+ *                                      world bigger than the screen; [{ x?, y?, w?, h?, color, label }] backdrops
+ *  - platformTexture, platforms        [x, y, scaleX] static platforms
+ *  - movers?, acid?                    [{ x, y, sx, dx?, dy?, periodMs, phase? }] swaying platforms;
+ *                                      { damage, pools: [{ x, w, low, high, periodMs }] } rising acid
+ *  - player, checkpoints?              [x, y] spawn, [[x, y]] respawn points
+ *  - orbs, enemies                     `positions: [[x, y]]` or `random: { count, x: [min, max], y: [min, max] }`;
+ *                                      enemy `chase.mode` is "seek", "nudge" or "guard"
+ *  - pathogens?                        extra enemy types, see src/enemies.js
+ *  - powerups                          [{ x, y, spinMs, type? }], see src/powerups.js
+ *  - zones?, npcs?                     areas for "reach" and cells for "protect" objectives
+ *  - signals?, filtration?, boss?, bones?, toxins?, wound?, flow?, breathing?
+ *                                      level mechanics, each documented at its LevelScene.setupX method
+ *  - scoring, powerMs                  points per pickup/chomp, power-mode length
+ *  - objectives                        win condition tree, see src/objectives.js
+ *  - hints?                            { health, npc, toxicity } Dr. Nova hints for the GameOver screen
+ *  - quiz?                             [{ id, fact, type: "mc" | "tf", prompt, choices?, answer, explain }]
+ *  - reward, next                      { title, stars, facts, system, button, accuracyBonus? }, next scene
+ *  - map                               Body Map node { label, requires?, cost? }
+ */
+export const LEVELS = [circulatory, lungs, brain, digestive, kidneys, skeleton, liver, skin, immune]
+  .map((def, i) => ({ ...def, level: i + 1 }));
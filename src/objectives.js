@@ -0,0 +1,125 @@
+/**
+ * Composable level objectives.
+ *
+ * A level descriptor's `objectives` is a tree of leaves and AND/OR groups:
+ *   { "all": [ leaf | group, … ] }   every child must complete
+ *   { "any": [ leaf | group, … ] }   one child is enough
+ *
+ * Leaves:
+ *   { "type": "collect", "item": "energy", "count": 10, "label": "Energy" }
+ *   { "type": "defeat",  "enemy": "virusRed", "count": 1, "label": "Virus" }   (enemy optional = any)
+ *   { "type": "clear",   "enemy": "badBacteria", "label": "Invaders" }         (every spawned one defeated)
+ *   { "type": "survive", "seconds": 30, "label": "Survive" }
+ *   { "type": "reach",   "zone": "exit", "label": "Reach exit" }
+ *   { "type": "protect", "npc": "rbc", "seconds": 20, "label": "Protect RBC" }  (fails if the NPC is lost)
+ *   { "type": "sort",    "count": 12, "accuracy": 0.75, "label": "Filtered" }   (count correct, overall accuracy ≥ accuracy)
+ *
+ * The scene feeds game events in through `record(type, payload)`:
+ *   record("collect", { item })   record("defeat", { enemy })   record("tick", { ms })
+ *   record("reach", { zone })     record("lost", { npc })       record("sort", { correct })
+ *   record("spawn", { enemy })         (a mid-level spawn a "clear" leaf has to deal with)
+ *   record("drain", { item, count })   (takes back collect progress, e.g. parasites stealing ⚡)
+ * and reads back `isComplete()`, `isFailed()` and `describe()` for the HUD line.
+ */
+
+const leafFactories = {
+  collect: (spec) => {
+    const c = counter(spec, (type, p) => type === "collect" && p.item === spec.item);
+    return { ...c, record(type, p) { if (type === "drain" && p.item === spec.item) c.take(p.count); else c.record(type, p); } };
+  },
+  defeat: (spec) => counter(spec, (type, p) => type === "defeat" && (!spec.enemy || p.enemy === spec.enemy)),
+  clear: (spec) => {
+    let left = 0;
+    const mine = (p) => !spec.enemy || p.enemy === spec.enemy;
+    return {
+      record(type, p) {
+        if (type === "spawn" && mine(p)) left += 1;
+        if (type === "defeat" && mine(p)) left = Math.max(0, left - 1);
+      },
+      isComplete: () => left === 0,
+      isFailed: () => false,
+      describe: () => `${spec.label ?? "Clear"} ${left} left`,
+    };
+  },
+  survive: (spec) => {
+    let ms = 0;
+    return {
+      record(type, p) { if (type === "tick") ms = Math.min(spec.seconds * 1000, ms + p.ms); },
+      isComplete: () => ms >= spec.seconds * 1000,
+      isFailed: () => false,
+      describe: () => `${spec.label ?? "Survive"} ${Math.floor(ms / 1000)}/${spec.seconds}s`,
+    };
+  },
+  reach: (spec) => {
+    let reached = false;
+    return {
+      record(type, p) { if (type === "reach" && p.zone === spec.zone) reached = true; },
+      isComplete: () => reached,
+      isFailed: () => false,
+      describe: () => `${spec.label ?? "Reach"} ${reached ? 1 : 0}/1`,
+    };
+  },
+  protect: (spec) => {
+    let ms = 0, lost = false;
+    return {
+      record(type, p) {
+        if (type === "lost" && p.npc === spec.npc) lost = true;
+        if (type === "tick" && !lost) ms = Math.min(spec.seconds * 1000, ms + p.ms);
+      },
+      isComplete: () => !lost && ms >= spec.seconds * 1000,
+      isFailed: () => lost,
+      describe: () => `${spec.label ?? "Protect"} ${lost ? "✖" : `${Math.floor(ms / 1000)}/${spec.seconds}s`}`,
+    };
+  },
+  sort: (spec) => {
+    let right = 0, total = 0;
+    const min = spec.accuracy ?? 0;
+    return {
+      record(type, p) { if (type === "sort") { total += 1; if (p.correct) right += 1; } },
+      isComplete: () => right >= spec.count && right / total >= min,
+      isFailed: () => false,
+      describe: () => `${spec.label ?? "Sorted"} ${Math.min(right, spec.count)}/${spec.count}${total ? ` (${Math.round(100 * right / total)}%)` : ""}`,
+    };
+  },
+};
+
+function counter(spec, matches) {
+  const count = spec.count ?? 1;
+  let n = 0;
+  return {
+    record(type, p) { if (matches(type, p) && n < count) n += 1; },
+    take: (k) => { n = Math.max(0, n - k); },
+    isComplete: () => n >= count,
+    isFailed: () => false,
+    describe: () => `${spec.label ?? spec.type} ${n}/${count}`,
+  };
+}
+
+function group(children, mode) {
+  const every = mode === "all";
+  return {
+    record(type, p) { children.forEach((c) => c.record(type, p)); },
+    isComplete: () => every ? children.every((c) => c.isComplete()) : children.some((c) => c.isComplete()),
+    isFailed: () => every ? children.some((c) => c.isFailed()) : children.every((c) => c.isFailed()),
+    describe: (nested = false) => {
+      const s = children.map((c) => c.describe(true)).join(every ? " • " : " OR ");
+      return nested && children.length > 1 ? `(${s})` : s;
+    },
+  };
+}
+
+/** Largest `count` any collect leaf asks for `item` (Infinity if none), e.g. to cap a HUD total the same way. */
+export function collectTarget(spec, item) {
+  const counts = (s) => (s.all || s.any ? (s.all ?? s.any).flatMap(counts) : s.type === "collect" && s.item === item ? [s.count ?? 1] : []);
+  const found = counts(spec);
+  return found.length ? Math.max(...found) : Infinity;
+}
+
+/** Builds a live objective tree from its JSON spec. Unknown leaf types throw. */
+export function createObjectives(spec) {
+  if (spec.all) return group(spec.all.map(createObjectives), "all");
+  if (spec.any) return group(spec.any.map(createObjectives), "any");
+  const make = leafFactories[spec.type];
+  if (!make) throw new Error(`Unknown objective type: ${spec.type}`);
+  return make(spec);
+}
@@ -0,0 +1,60 @@
+/**
+ * Power-up types. A level's `powerups` entries pick one with `type`
+ * (default "brain"); each has a BootScene texture, a duration and a stacking
+ * rule for grabbing another while it is still running:
+ *   "refresh"  the timer restarts
+ *   "extend"   the new duration is added to what's left (capped at maxMs)
+ *   "charges"  one more charge (capped at maxCharges) and the timer restarts
+ *
+ * Active power-ups live in a plain `{ [type]: { left, charges? } }` map owned
+ * by LevelScene, which applies the effects; the helpers below only keep the
+ * bookkeeping.
+ */
+
+export const POWERUPS = {
+  // chomp mode: pathogens turn vulnerable and flee (duration is the level's powerMs)
+  brain: { icon: "🧠", texture: "brainPower", stack: "refresh" },
+  // antibody shield: each charge blocks one hit
+  shield: { icon: "🛡", texture: "antibodyShield", durationMs: 15000, stack: "charges", maxCharges: 2 },
+  // oxygen dash: faster running
+  dash: { icon: "💨", texture: "oxygenDash", durationMs: 5000, stack: "extend", maxMs: 12000, speed: 1.7 },
+  // white-blood-cell ally: one helper per charge that hunts the nearest pathogen
+  ally: { icon: "⚪", texture: "wbcAlly", durationMs: 10000, stack: "charges", maxCharges: 2, speed: 170 },
+  // magnet: pulls nearby ⚡ orbs in
+  magnet: { icon: "🧲", texture: "orbMagnet", durationMs: 8000, stack: "refresh", radius: 180, pull: 320 },
+};
+
+/** Applies a pickup to `buffs` following the type's stacking rule; returns its new state. */
+export function stackPowerup(buffs, type, ms) {
+  const spec = POWERUPS[type], cur = buffs[type];
+  if (spec.stack === "extend") buffs[type] = { left: Math.min(spec.maxMs, (cur?.left ?? 0) + ms) };
+  else if (spec.stack === "charges") buffs[type] = { left: ms, charges: Math.min(spec.maxCharges, (cur?.charges ?? 0) + 1) };
+  else buffs[type] = { left: ms };
+  return buffs[type];
+}
+
+/** Counts every timer down by dt; returns the types that just ran out. */
+export function tickPowerups(buffs, dt) {
+  return Object.keys(buffs).filter((type) => {
+    buffs[type].left -= dt;
+    if (buffs[type].left > 0) return false;
+    delete buffs[type];
+    return true;
+  });
+}
+
+/** Uses up one charge; true if there was one to spend. */
+export function spendCharge(buffs, type) {
+  const b = buffs[type];
+  if (!b?.charges) return false;
+  b.charges -= 1;
+  if (!b.charges) delete buffs[type];
+  return true;
+}
+
+/** HUD line, e.g. "🧠 4s  🛡×2 12s". */
+export function describePowerups(buffs) {
+  return Object.entries(buffs)
+    .map(([type, b]) => `${POWERUPS[type].icon}${b.charges > 1 ? `×${b.charges}` : ""} ${Math.ceil(b.left / 1000)}s`)
+    .join("  ");
+}
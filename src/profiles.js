@@ -0,0 +1,60 @@
+import { copyProgress, deleteProgress } from "./saveStore";
+
+/**
+ * Player profiles for shared classroom devices.
+ *
+ * The roster lives in localStorage under "mm_profiles" as
+ * `{ active, profiles: [{ id, name, color }] }`; each profile's progress is a
+ * separate save slot in src/saveStore.js. A device that already has a
+ * pre-profiles "mm_progress" record gets it adopted as "Player 1".
+ */
+
+const profilesKey = "mm_profiles";
+
+export const MAX_PROFILES = 6;
+
+// avatar tints for the playerCell sprite (white = untinted)
+export const AVATAR_COLORS = [0xffffff, 0xff8fab, 0x7ad7f0, 0x9bf6a3, 0xffd166, 0xc8a2ff];
+
+const newId = () => `p${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+
+function write(roster) {
+  localStorage.setItem(profilesKey, JSON.stringify(roster));
+  return roster;
+}
+
+export function loadProfiles() {
+  try {
+    const r = JSON.parse(localStorage.getItem(profilesKey) ?? "null");
+    if (r && Array.isArray(r.profiles)) return r;
+  } catch { /* fall through to a fresh roster */ }
+  const roster = { active: null, profiles: [] };
+  if (localStorage.getItem("mm_progress") != null) {
+    const id = newId();
+    copyProgress(undefined, id);
+    roster.profiles.push({ id, name: "Player 1", color: AVATAR_COLORS[0] });
+    roster.active = id;
+  }
+  return write(roster);
+}
+
+export const activeProfile = (roster) => roster.profiles.find((p) => p.id === roster.active) ?? null;
+
+export function createProfile(roster, name) {
+  const color = AVATAR_COLORS[roster.profiles.length % AVATAR_COLORS.length];
+  const profile = { id: newId(), name, color };
+  return write({ active: profile.id, profiles: [...roster.profiles, profile] });
+}
+
+export function updateProfile(roster, id, patch) {
+  return write({ ...roster, profiles: roster.profiles.map((p) => (p.id === id ? { ...p, ...patch } : p)) });
+}
+
+export function deleteProfile(roster, id) {
+  deleteProgress(id);
+  return write({ active: roster.active === id ? null : roster.active, profiles: roster.profiles.filter((p) => p.id !== id) });
+}
+
+export function selectProfile(roster, id) {
+  return write({ ...roster, active: id });
+}
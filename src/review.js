@@ -0,0 +1,45 @@
+/**
+ * Spaced-repetition scheduling for learned facts (Leitner boxes).
+ *
+ * Each reviewed fact keeps `{ box, due }` in the save's `review` map. A fact
+ * that has never been reviewed is due straight away. A correct recall moves
+ * it up one box and schedules it REVIEW_INTERVALS_DAYS[box] days out; a miss
+ * drops it back to box 0 and brings it back after RETRY_MS.
+ */
+
+export const REVIEW_INTERVALS_DAYS = [0, 1, 3, 7, 14, 30];
+export const ROUND_SIZE = 5;
+export const STREAK_FOR_STAR = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RETRY_MS = 10 * 60 * 1000;
+const TOP_BOX = REVIEW_INTERVALS_DAYS.length - 1;
+
+/** Learned fact IDs that are due now, most overdue first. */
+export function dueFacts(learned, schedule, now = Date.now()) {
+  return learned
+    .filter((id) => (schedule[id]?.due ?? 0) <= now)
+    .sort((a, b) => (schedule[a]?.due ?? 0) - (schedule[b]?.due ?? 0));
+}
+
+/** Timestamp of the next fact to come due, or null if nothing has been learned. */
+export function nextDueAt(learned, schedule) {
+  if (!learned.length) return null;
+  return Math.min(...learned.map((id) => schedule[id]?.due ?? 0));
+}
+
+export function scheduleAnswer(entry, correct, now = Date.now()) {
+  if (!correct) return { box: 0, due: now + RETRY_MS };
+  const box = Math.min(TOP_BOX, (entry?.box ?? 0) + 1);
+  return { box, due: now + REVIEW_INTERVALS_DAYS[box] * DAY_MS };
+}
+
+/** "in 3 days", "in 2 hours", "now" — for the review summary. */
+export function describeWait(ms) {
+  if (ms <= 0) return "now";
+  const hours = Math.round(ms / 3600000);
+  if (hours < 1) return `in ${Math.max(1, Math.round(ms / 60000))} min`;
+  if (hours < 24) return `in ${hours} hour${hours === 1 ? "" : "s"}`;
+  const days = Math.round(ms / DAY_MS);
+  return `in ${days} day${days === 1 ? "" : "s"}`;
+}
@@ -0,0 +1,230 @@
+import { FACTS, SYSTEMS, factIdForLegacyText } from "./facts";
+import { LEVELS } from "./levels";
+
+/**
+ * Versioned progress store.
+ *
+ * Each profile's save lives in localStorage under "mm_progress:<profileId>"
+ * (plain "mm_progress" before profiles existed) as `{ version, ... }`. On load
+ * the raw record is run through MIGRATIONS (one step per version) and then
+ * validated; if that fails, the last good save in "mm_progress_backup" is used
+ * and written back (the damaged record is kept in "mm_progress_corrupt" for
+ * inspection). Every successful save first copies the previous good record
+ * into the backup slot.
+ *
+ * To change the shape: bump SAVE_VERSION, add a `MIGRATIONS[old]` step that
+ * upgrades `old → old + 1`, and extend `validate`.
+ */
+
+export const SAVE_VERSION = 7;
+
+const storeKey = "mm_progress";
+const backupKey = "mm_progress_backup";
+const corruptKey = "mm_progress_corrupt";
+
+const slotKeys = (profileId) => {
+  const sfx = profileId ? `:${profileId}` : "";
+  return { main: storeKey + sfx, backup: backupKey + sfx, corrupt: corruptKey + sfx };
+};
+
+export function emptyProgress() {
+  return { version: SAVE_VERSION, stars: 0, systems: {}, facts: [], quiz: {}, codexSeen: [], review: {}, unlocked: [] };
+}
+
+// shown as-is by the import UI, so bad input never surfaces as a raw TypeError
+const damagedSave = () => new Error("That save is incomplete or damaged.");
+
+// MIGRATIONS[n] upgrades a version-n record to version n + 1.
+const MIGRATIONS = {
+  // v1: unversioned { stars, systems: { heart, lungs }, facts }
+  1: (p) => ({ ...p, version: 2, systems: { ...p.systems } }),
+  // v2 → v3: per-question quiz accuracy { [questionId]: { asked, correct } }
+  2: (p) => ({ ...p, version: 3, quiz: {} }),
+  // v3 → v4: facts already viewed in the codex (drives its "NEW" badges)
+  3: (p) => ({ ...p, version: 4, codexSeen: [] }),
+  // v4 → v5: facts stored as catalog IDs (src/facts.js) instead of sentences
+  4: (p) => {
+    const toIds = (list) => {
+      if (list != null && !Array.isArray(list)) throw damagedSave();
+      return [...new Set((list ?? []).map(factIdForLegacyText).filter(Boolean))];
+    };
+    return { ...p, version: 5, facts: toIds(p.facts), codexSeen: toIds(p.codexSeen) };
+  },
+  // v5 → v6: spaced-repetition schedule { [factId]: { box, due } }, see src/review.js
+  5: (p) => ({ ...p, version: 6, review: {} }),
+  // v6 → v7: Body Map nodes bought with stars (level keys), see `map.cost` in src/levels
+  6: (p) => ({ ...p, version: 7, unlocked: [] }),
+};
+
+export function migrate(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("save is not an object");
+  let p = raw, v = raw.version ?? 1;
+  if (Number.isInteger(v) && v > SAVE_VERSION) throw new Error("That save is from a newer version of MicroMedics.");
+  if (!Number.isInteger(v) || v < 1) throw damagedSave();
+  while (v < SAVE_VERSION) {
+    p = MIGRATIONS[v](p);
+    v = p.version;
+  }
+  return p;
+}
+
+/** Returns a clean copy of a current-version record, or throws if it is unusable. */
+export function validate(p) {
+  if (p.version !== SAVE_VERSION) throw new Error(`expected version ${SAVE_VERSION}`);
+  const stars = Number(p.stars ?? 0);
+  if (!Number.isFinite(stars) || stars < 0) throw new Error("invalid stars");
+  if (p.systems == null || typeof p.systems !== "object" || Array.isArray(p.systems)) throw new Error("invalid systems");
+  if (!Array.isArray(p.facts ?? [])) throw new Error("invalid facts");
+  if (typeof (p.quiz ?? {}) !== "object") throw new Error("invalid quiz stats");
+  if (!Array.isArray(p.codexSeen ?? [])) throw new Error("invalid codex state");
+  if (typeof (p.review ?? {}) !== "object") throw new Error("invalid review schedule");
+  if (!Array.isArray(p.unlocked ?? [])) throw new Error("invalid unlocks");
+  const count = (n) => (Number.isFinite(n) && n > 0 ? Math.floor(n) : 0);
+  return {
+    ...p,
+    stars: Math.floor(stars),
+    systems: Object.fromEntries(Object.entries(p.systems).map(([k, v]) => [k, !!v])),
+    facts: (p.facts ?? []).filter((f) => typeof f === "string"),
+    codexSeen: (p.codexSeen ?? []).filter((f) => typeof f === "string"),
+    unlocked: (p.unlocked ?? []).filter((k) => typeof k === "string"),
+    review: Object.fromEntries(Object.entries(p.review ?? {}).map(([id, r]) => [id, { box: Math.min(5, count(r?.box)), due: Number(r?.due) || 0 }])),
+    quiz: Object.fromEntries(Object.entries(p.quiz ?? {}).map(([id, q]) => [id, { asked: count(q?.asked), correct: count(q?.correct) }])),
+  };
+}
+
+/** Parses, migrates and validates a serialized save; throws on any problem. */
+export function parseProgress(json) {
+  return validate(migrate(JSON.parse(json)));
+}
+
+const readSlot = (key) => {
+  const raw = localStorage.getItem(key);
+  return raw == null ? null : parseProgress(raw);
+};
+
+/**
+ * Loads progress, falling back to the backup slot on corruption.
+ * `source` is "primary", "backup" (primary was damaged and has been restored)
+ * or "empty" (no usable save).
+ */
+export function loadProgress(profileId) {
+  const keys = slotKeys(profileId);
+  let primaryError = null;
+  try {
+    const p = readSlot(keys.main);
+    if (p) return { progress: p, source: "primary" };
+  } catch (e) {
+    primaryError = e;
+    localStorage.setItem(keys.corrupt, localStorage.getItem(keys.main));
+  }
+  try {
+    const b = readSlot(keys.backup);
+    if (b) {
+      localStorage.setItem(keys.main, JSON.stringify(b));
+      return { progress: b, source: "backup", error: primaryError };
+    }
+  } catch { /* both slots unusable */ }
+  return { progress: emptyProgress(), source: "empty", error: primaryError };
+}
+
+export function saveProgress(progress, profileId) {
+  const keys = slotKeys(profileId);
+  const p = validate({ ...progress, version: SAVE_VERSION });
+  const prev = localStorage.getItem(keys.main);
+  try {
+    if (prev != null) { parseProgress(prev); localStorage.setItem(keys.backup, prev); }
+  } catch { /* never back up a damaged record */ }
+  localStorage.setItem(keys.main, JSON.stringify(p));
+}
+
+/** Copies every slot of one profile to another (used when adopting the pre-profiles save). */
+export function copyProgress(fromId, toId) {
+  const from = slotKeys(fromId), to = slotKeys(toId);
+  ["main", "backup"].forEach((k) => {
+    const raw = localStorage.getItem(from[k]);
+    if (raw != null) localStorage.setItem(to[k], raw);
+  });
+}
+
+export function deleteProgress(profileId) {
+  Object.values(slotKeys(profileId)).forEach((k) => localStorage.removeItem(k));
+}
+
+// ---- export / import ----
+// A code carries only what another device can't work out for itself — stars, repaired systems, learned
+// facts and bought Body Map nodes — as "MM-" + base64url of:
+//   [format, stars (2 bytes), n, systems bitmask (n bytes), n, facts bitmask, n, unlocks bitmask, checksum]
+// Each bitmask is positional over SYSTEMS, FACTS and LEVELS (so those only ever grow at the end), which
+// keeps even a full save under 30 characters. Quiz stats, the review schedule and codex "NEW" badges stay on
+// the device; the exported file keeps everything.
+
+const codePrefix = "MM-";
+const codeFormat = 1;
+const systemKeys = Object.keys(SYSTEMS), factIds = FACTS.map((f) => f.id), levelKeys = LEVELS.map((l) => l.key);
+const mistyped = () => new Error("That code is incomplete or mistyped.");
+
+const toBase64Url = (bytes) => {
+  let bin = "";
+  bytes.forEach((b) => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+};
+const fromBase64Url = (s) => {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+};
+// bit i is set when all[i] is in `have`; the length byte lets older codes decode after a catalog grows
+const toMask = (all, have) => {
+  const bytes = new Array(Math.ceil(all.length / 8)).fill(0);
+  all.forEach((x, i) => { if (have.includes(x)) bytes[i >> 3] |= 1 << (i & 7); });
+  return [bytes.length, ...bytes];
+};
+const checksum = (bytes) => bytes.reduce((sum, b) => (sum + b) % 256, 0);
+
+/** Pretty JSON for a downloadable backup file. */
+export function exportProgressFile(progress) {
+  return JSON.stringify(validate({ ...progress, version: SAVE_VERSION }), null, 2);
+}
+
+/** Short "MM-…" transfer code, see the layout above. */
+export function encodeProgressCode(progress) {
+  const p = validate({ ...progress, version: SAVE_VERSION });
+  const stars = Math.min(p.stars, 0xffff);
+  const bytes = [
+    codeFormat, stars >> 8, stars & 0xff,
+    ...toMask(systemKeys, Object.keys(p.systems).filter((k) => p.systems[k])),
+    ...toMask(factIds, p.facts),
+    ...toMask(levelKeys, p.unlocked),
+  ];
+  return codePrefix + toBase64Url([...bytes, checksum(bytes)]);
+}
+
+function parseCode(code) {
+  let bytes;
+  try { bytes = fromBase64Url(code); } catch { throw mistyped(); }
+  const body = bytes.slice(0, -1);
+  if (body.length < 6 || body[0] !== codeFormat || checksum(body) !== bytes[bytes.length - 1]) throw mistyped();
+  let at = 3;
+  const readMask = (all) => {
+    const n = body[at], mask = body.slice(at + 1, at + 1 + n);
+    if (mask.length !== n) throw mistyped();
+    at += 1 + n;
+    return all.filter((_, i) => mask[i >> 3] & (1 << (i & 7)));
+  };
+  const systems = Object.fromEntries(readMask(systemKeys).map((k) => [k, true]));
+  const facts = readMask(factIds), unlocked = readMask(levelKeys);
+  if (at !== body.length) throw mistyped();
+  return validate({ ...emptyProgress(), stars: (body[1] << 8) | body[2], systems, facts, unlocked });
+}
+
+function parseImported(json) {
+  let raw;
+  try { raw = JSON.parse(json); } catch { raw = null; }
+  if (!raw || typeof raw !== "object" || !("stars" in raw)) throw new Error("That isn't a MicroMedics save.");
+  return validate(migrate(raw));
+}
+
+/** Accepts either a progress code or the contents of an exported file; throws if invalid. */
+export function decodeProgress(text) {
+  const t = text.trim();
+  return t.startsWith(codePrefix) ? parseCode(t.slice(codePrefix.length)) : parseImported(t);
+}